@@ -5,19 +5,169 @@
 
 // Configuration
 const CONFIG = {
-    MAX_PAGE_HEIGHT: 30000, // Maximum height to capture (pixels)
-    CAPTURE_DELAY: 100,     // Delay between scroll captures (ms)
+    MAX_CANVAS_SIZE: 32767,         // Largest canvas side (device pixels)
+    MAX_CANVAS_AREA: 16384 * 16384, // Largest canvas area before splitting into parts
+    CAPTURE_DELAY: 100,             // Delay between scroll captures (ms)
+    MIN_CAPTURE_INTERVAL: 500,      // Firefox throttles captureVisibleTab to about two calls per second (ms)
+    CAPTURE_RETRIES: 4,             // Retries of a failed capture before giving up
+    CAPTURE_RETRY_DELAY: 500,       // First retry delay, doubled on each further retry (ms)
+    SETTLE_TIMEOUT: 1500,           // Longest wait for images in a segment to load (ms)
+    LAZY_LOAD_STEP_DELAY: 150,      // Pause per step of the lazy-load pre-scroll (ms)
+    LAZY_LOAD_TIMEOUT: 5000,        // Longest wait for pending images and fonts (ms)
+    MAX_GROWTH_BYTES: 256 * 1024 * 1024, // Image data kept while following a growing page when matching
+    STITCH_OVERLAP: 0.25,           // Share of the viewport repeated between rows when matching
+    MATCH_SAMPLE_STEP: 4,           // Sample every Nth pixel of a row when matching
+    MATCH_MIN_ROWS: 16,             // Fewest non-blank overlapping rows to trust a match
+    MATCH_MIN_SCORE: 0.6,           // Share of overlapping rows that must match
+    MAX_TIMER_DELAY: 60,            // Longest countdown before a delayed capture (s)
+    BADGE_COLOR: '#6366f1',         // Toolbar badge background during countdowns
+    CAPTURE_MAX_AGE: 7 * 24 * 60 * 60 * 1000, // Drop editor captures whose tab was never closed cleanly (ms)
+    THUMBNAIL_WIDTH: 320,           // History thumbnail size (px); tall captures show their top
+    THUMBNAIL_HEIGHT: 240,
+    TAB_LOAD_TIMEOUT: 10000,        // Longest wait for a tab to finish loading during batch capture (ms)
+    RESIZE_DELAY: 500,              // Wait for the page to re-layout after a window resize (ms)
+    RESPONSIVE_GAP: 32,             // Space between breakpoints in a side-by-side image (CSS px)
+    RESPONSIVE_LABEL_HEIGHT: 32,    // Height of the width label above each breakpoint (CSS px)
+    MAX_PATTERN_REPEATS: 2,         // Most open-ended repeats (*, +, {n,}) in a user detection pattern
     EDITOR_URL: browser.runtime.getURL('src/editor/arint-editor.html')
 };
 
-// Temporary storage for captured images
-let pendingCapture = null;
+// Defaults for options the user can change on the settings page
+const DEFAULT_SETTINGS = {
+    waitForLazyContent: true, // Pre-scroll for lazy content and wait for images per segment
+    freezeAnimations: true,   // Finish/pause CSS animations while capturing
+    stitchMode: 'position',   // 'position' trusts scroll offsets, 'match' aligns overlapping rows by content
+    captureTimer: 0,          // Seconds the popup waits before capturing (0 = immediately)
+    saveHistory: true,        // Keep captures in the local history gallery
+    historyMaxItems: 200,     // Retention limits for the history (0 = unlimited)
+    historyMaxSizeMB: 500,
+    historyMaxAgeDays: 30,
+    responsiveWidths: '375, 768, 1280, 1920', // Viewport widths for responsive capture (CSS px)
+    responsiveLayout: 'separate',             // 'separate' editors per width or one 'combined' side-by-side image
+    captionStrip: false,      // Add a strip with title, address, time and viewport under exported images
+    externalApi: false,       // Let other extensions request captures through runtime.sendMessage
+    externalApiAllowList: '', // Extension IDs allowed to use the API, one per line (empty = none)
+    detectSensitiveText: true, // Find emails, phone numbers, card numbers and keys for the editor to redact
+    sensitivePatterns: ''     // Extra regular expressions to detect, one per line
+};
+
+// Alarm that runs a delayed capture; the capture itself is kept in session storage
+const CAPTURE_ALARM = 'arint-delayed-capture';
+
+// Timeout updating the countdown on the badge, if any
+let countdownTimer = null;
+
+// Full-page captures in progress, by tab ID, so they can be cancelled
+const activeCaptures = new Map();
+
+// Capture scheduler: captureVisibleTab calls run one at a time, spaced out
+let captureQueue = Promise.resolve();
+let lastCaptureTime = 0;
+
+/**
+ * A capture failure with a machine-readable code, passed on to the popup and
+ * to capture API callers
+ */
+class CaptureError extends Error {
+    /**
+     * @param {string} code - 'RATE_LIMITED', 'RESTRICTED_PAGE', 'PERMISSION_DENIED',
+     *   'TAB_CLOSED', 'CANCELLED' or 'CAPTURE_FAILED'
+     * @param {string} message - Reason shown to the user
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = 'CaptureError';
+        this.code = code;
+    }
+}
+
+// Keyboard commands declared in the manifest and the capture action each runs
+const COMMAND_ACTIONS = {
+    'capture-visible': 'visible',
+    'capture-fullpage': 'fullpage',
+    'capture-selection': 'selection',
+    'capture-element': 'element',
+    'capture-container': 'container',
+    'capture-responsive': 'responsive',
+    'copy-visible': 'copy'
+};
+
+// Right-click menu entries
+const CONTEXT_MENUS = [
+    { id: 'arint-capture-visible', title: 'Capture visible area', contexts: ['page', 'image', 'link', 'selection'] },
+    { id: 'arint-capture-fullpage', title: 'Capture full page', contexts: ['page', 'image', 'link', 'selection'] },
+    { id: 'arint-capture-element', title: 'Capture this element', contexts: ['page', 'image', 'link', 'selection'] },
+    { id: 'arint-open-image', title: 'Open this image in Arint editor', contexts: ['image'] }
+];
 
 /**
  * Initialize extension
  */
 browser.runtime.onInstalled.addListener(() => {
     console.log('Arint Screenshot: Extension installed');
+
+    // Menus persist across restarts, so they are only (re)created here
+    browser.menus.removeAll().then(() => {
+        CONTEXT_MENUS.forEach(menu => browser.menus.create(menu));
+    });
+
+    cleanupCaptures();
+});
+
+browser.runtime.onStartup.addListener(() => {
+    cleanupCaptures();
+});
+
+/**
+ * Drop a capture once the editor tab showing it is closed
+ */
+browser.tabs.onRemoved.addListener((tabId) => {
+    ArintDB.deleteCapturesForTab(tabId).catch(error => {
+        console.error('Arint Screenshot: Failed to delete capture', error);
+    });
+});
+
+/**
+ * Run a delayed capture when its alarm goes off, which also wakes the
+ * background script if it was unloaded during the countdown
+ */
+browser.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === CAPTURE_ALARM) {
+        runScheduledCapture().catch(reportCaptureFailure);
+    }
+});
+
+/**
+ * Handle keyboard commands - capture straight from the page without the popup
+ */
+browser.commands.onCommand.addListener((command, tab) => {
+    const action = COMMAND_ACTIONS[command];
+    if (action) {
+        handleCaptureRequest(action, tab).catch(reportCaptureFailure);
+    }
+});
+
+/**
+ * Handle right-click menu actions
+ */
+browser.menus.onClicked.addListener((info, tab) => {
+    switch (info.menuItemId) {
+        case 'arint-capture-visible':
+            handleCaptureRequest('visible', tab).catch(reportCaptureFailure);
+            break;
+
+        case 'arint-capture-fullpage':
+            handleCaptureRequest('fullpage', tab).catch(reportCaptureFailure);
+            break;
+
+        case 'arint-capture-element':
+            captureTargetElement(tab, info).catch(reportCaptureFailure);
+            break;
+
+        case 'arint-open-image':
+            openImageInEditor(tab, info).catch(reportCaptureFailure);
+            break;
+    }
 });
 
 /**
@@ -28,25 +178,89 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     switch (message.type) {
         case 'CAPTURE_REQUEST':
-            handleCaptureRequest(message.action, sender.tab)
+            // With a delay, respond right away so the popup can close before the capture
+            (message.delay > 0
+                ? scheduleCapture(message.action, message.delay)
+                : handleCaptureRequest(message.action, sender.tab))
                 .then(() => sendResponse({ success: true }))
-                .catch(error => sendResponse({ success: false, error: error.message }));
+                .catch(error => sendResponse({ success: false, error: error.message, code: error.code }));
             return true;
 
         case 'SELECTION_COMPLETE':
-            handleSelectionComplete(message.selection, sender.tab);
+            handleSelectionComplete(message.selection, sender.tab).catch(reportCaptureFailure);
+            break;
+
+        case 'ELEMENT_SELECTED':
+            handleElementSelected(message.element, sender.tab).catch(reportCaptureFailure);
+            break;
+
+        case 'CONTAINER_SELECTED':
+            handleContainerSelected(sender.tab).catch(reportCaptureFailure);
+            break;
+
+        case 'CAPTURE_SNAPSHOT':
+            // Selection overlay asking for the current viewport for its loupe
+            captureTab(sender.tab.windowId)
+                .then(imageData => sendResponse({ imageData }))
+                .catch(error => sendResponse({ imageData: null, error: error.message }));
+            return true;
+
+        case 'CANCEL_CAPTURE':
+            // Cancel button or Escape in the progress overlay
+            if (activeCaptures.has(sender.tab.id)) {
+                activeCaptures.get(sender.tab.id).abort();
+            }
             break;
 
         case 'SELECTION_CANCELLED':
             console.log('Arint Screenshot: Selection cancelled');
             break;
 
-        case 'GET_PENDING_CAPTURE':
-            // Editor requesting the captured image
-            sendResponse({ imageData: pendingCapture });
-            pendingCapture = null;
+        case 'CHECK_RESTRICTED':
+            // Popup and batch page ask which addresses cannot be captured
+            sendResponse(message.urls.map(isRestrictedUrl));
+            break;
+
+        case 'CHECK_PATTERNS':
+            // Settings page asks before saving detection patterns
+            sendResponse(splitLines(message.text)
+                .map(line => ({ line, error: parseSensitivePattern(line).error }))
+                .filter(result => result.error));
             break;
 
+        case 'BATCH_CAPTURE':
+            captureTabs(message.tabIds, message.mode, sender.tab)
+                .then(results => sendResponse({ success: true, results }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'OPEN_CAPTURE':
+            openStoredCapture(message.id)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'UPDATE_HISTORY_IMAGE':
+            // Editor redacted a capture that is also in the history
+            updateHistoryImage(message.id, message.imageData)
+                .then(updated => sendResponse({ success: true, updated }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'OPEN_HISTORY_ENTRY':
+            openHistoryEntry(message.id)
+                .then(() => sendResponse({ success: true }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            return true;
+
+        case 'GET_SETTINGS':
+            getSettings().then(sendResponse);
+            return true;
+
+        case 'SAVE_SETTINGS':
+            saveSettings(message.settings).then(sendResponse);
+            return true;
+
         case 'PAGE_DIMENSIONS':
             // Response from content script with page dimensions
             sendResponse({ received: true });
@@ -56,15 +270,34 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep message channel open for async responses
 });
 
+/**
+ * Handle capture requests from other extensions (see "Capture API" in the README)
+ */
+browser.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+    handleExternalRequest(message, sender)
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => {
+            const captureError = toCaptureError(error);
+            sendResponse({ success: false, error: captureError.message, code: captureError.code });
+        });
+    return true;
+});
+
 /**
  * Handle capture requests from popup
- * @param {string} action - 'visible', 'fullpage', or 'selection'
- * @param {object} tab - The active tab
+ * @param {string} action - 'visible', 'fullpage', 'selection', 'element', 'container', 'responsive' or 'copy'
+ * @param {object} [tab] - The tab to capture, defaults to the active tab
+ * @throws {CaptureError} - Why the capture failed
  */
 async function handleCaptureRequest(action, tab) {
     try {
-        // Get the active tab
-        const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+        // Use the given tab, or the active tab when called from the popup
+        const activeTab = tab || (await browser.tabs.query({ active: true, currentWindow: true }))[0];
+
+        // Only the visible area can be captured where scripts are not allowed
+        if (isRestrictedUrl(activeTab.url) && action !== 'visible' && action !== 'copy') {
+            throw new CaptureError('RESTRICTED_PAGE', 'Browser and add-on pages can only be captured as visible area');
+        }
 
         switch (action) {
             case 'visible':
@@ -79,254 +312,2087 @@ async function handleCaptureRequest(action, tab) {
                 await initiateSelection(activeTab);
                 break;
 
+            case 'element':
+                await initiateElementPicker(activeTab);
+                break;
+
+            case 'container':
+                // Preselect the most likely scrolling area, then let the user confirm or pick another
+                await browser.scripting.executeScript({
+                    target: { tabId: activeTab.id },
+                    func: markScrollContainer
+                });
+                await initiateElementPicker(activeTab, 'container');
+                break;
+
+            case 'responsive':
+                await captureResponsive(activeTab);
+                break;
+
+            case 'copy':
+                await copyVisibleArea(activeTab);
+                break;
+
             default:
-                console.error('Arint Screenshot: Unknown action', action);
+                throw new CaptureError('CAPTURE_FAILED', `Unknown capture action: ${action}`);
         }
     } catch (error) {
         console.error('Arint Screenshot: Capture failed', error);
+        throw toCaptureError(error);
     }
 }
 
 /**
- * Capture the visible viewport
- * @param {object} tab - The tab to capture
+ * Take a screenshot of a window's visible tab through the capture scheduler.
+ * Calls are queued and spaced out to stay under Firefox's rate limit, and
+ * failed captures are retried with exponential backoff.
+ * @param {number} windowId - Window whose active tab is captured
+ * @returns {Promise<string>} - PNG data URL
+ * @throws {CaptureError}
  */
-async function captureVisibleArea(tab) {
-    try {
-        // Capture the visible tab
-        const imageData = await browser.tabs.captureVisibleTab(tab.windowId, {
-            format: 'png'
-        });
+function captureTab(windowId) {
+    const task = captureQueue.then(() => captureWithRetry(windowId));
+    captureQueue = task.catch(() => { /* The caller handles the failure */ });
+    return task;
+}
 
-        // Open editor with captured image
-        await openEditor(imageData);
-    } catch (error) {
-        console.error('Arint Screenshot: Visible capture failed', error);
-        throw error;
+/**
+ * @param {number} windowId
+ * @returns {Promise<string>} - PNG data URL
+ */
+async function captureWithRetry(windowId) {
+    for (let attempt = 0; ; attempt++) {
+        const wait = lastCaptureTime + CONFIG.MIN_CAPTURE_INTERVAL - Date.now();
+        if (wait > 0) {
+            await delay(wait);
+        }
+        lastCaptureTime = Date.now();
+
+        try {
+            return await browser.tabs.captureVisibleTab(windowId, { format: 'png' });
+        } catch (error) {
+            const captureError = toCaptureError(error);
+            const retryable = captureError.code === 'RATE_LIMITED' || captureError.code === 'CAPTURE_FAILED';
+
+            if (!retryable || attempt >= CONFIG.CAPTURE_RETRIES) {
+                throw captureError;
+            }
+
+            const backoff = CONFIG.CAPTURE_RETRY_DELAY * 2 ** attempt;
+            console.log(`Arint Screenshot: Capture failed (${error.message}), retrying in ${backoff}ms`);
+            await delay(backoff);
+        }
     }
 }
 
 /**
- * Capture the full page by scrolling and stitching
- * @param {object} tab - The tab to capture
+ * Turn any error thrown while capturing into a CaptureError with a code and
+ * a message that makes sense to the user
+ * @param {Error} error
+ * @returns {CaptureError}
  */
-async function captureFullPage(tab) {
-    try {
-        // Inject helper to get page dimensions and control scrolling
-        const [result] = await browser.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: getPageDimensions
-        });
-
-        const dimensions = result.result;
-        console.log('Arint Screenshot: Page dimensions', dimensions);
+function toCaptureError(error) {
+    if (error instanceof CaptureError) return error;
 
-        // Calculate number of captures needed
-        const viewportHeight = dimensions.viewportHeight;
-        const totalHeight = Math.min(dimensions.scrollHeight, CONFIG.MAX_PAGE_HEIGHT);
-        const captureCount = Math.ceil(totalHeight / viewportHeight);
+    const message = (error && error.message) || String(error);
 
-        // Store original scroll position
-        await browser.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: () => window.__arintOriginalScroll = window.scrollY
-        });
+    if (error && error.name === 'AbortError') {
+        return new CaptureError('CANCELLED', 'Capture cancelled');
+    }
+    if (/\bquota\b|\brate[ -]?limit|too many (calls|requests)|MAX_CAPTURE/i.test(message)) {
+        return new CaptureError('RATE_LIMITED', 'The browser is limiting how fast screenshots can be taken. Try again in a moment');
+    }
+    if (/no tab|invalid tab|tab.*(closed|not found)/i.test(message)) {
+        return new CaptureError('TAB_CLOSED', 'The tab was closed or navigated away during capture');
+    }
+    if (/permission|not allowed|cannot access|missing host/i.test(message)) {
+        return new CaptureError('PERMISSION_DENIED', 'Arint Screenshot is not allowed to capture this page');
+    }
+    return new CaptureError('CAPTURE_FAILED', message);
+}
 
-        // Capture each viewport segment
-        const captures = [];
+/**
+ * Tell the user about a failed capture that was not started from the popup
+ * (shortcuts, menus, delayed captures, on-page pickers): a red badge, with the
+ * reason in the toolbar button's tooltip
+ * @param {Error} error
+ */
+async function reportCaptureFailure(error) {
+    const captureError = toCaptureError(error);
+    if (captureError.code === 'CANCELLED') return;
 
-        for (let i = 0; i < captureCount; i++) {
-            const scrollY = i * viewportHeight;
+    console.error('Arint Screenshot: Capture failed', captureError);
 
-            // Scroll to position
-            await browser.scripting.executeScript({
-                target: { tabId: tab.id },
-                func: (y) => window.scrollTo(0, y),
-                args: [scrollY]
-            });
+    await browser.action.setBadgeBackgroundColor({ color: '#ef4444' });
+    await browser.action.setBadgeText({ text: '!' });
+    await browser.action.setTitle({ title: `Arint Screenshot - Capture failed: ${captureError.message}` });
 
-            // Wait for scroll and content to settle
-            await delay(CONFIG.CAPTURE_DELAY);
+    setTimeout(() => {
+        browser.action.setBadgeText({ text: '' });
+        browser.action.setTitle({ title: null });
+    }, 5000);
+}
 
-            // Capture visible viewport
-            const imageData = await browser.tabs.captureVisibleTab(tab.windowId, {
-                format: 'png'
-            });
+/**
+ * Run a capture after a countdown shown on the toolbar badge, so hover
+ * states, menus and tooltips can be opened once the popup has closed.
+ * Scheduling a new capture replaces one that is still counting down.
+ * @param {string} action - Capture action, as for handleCaptureRequest
+ * @param {number} seconds - Countdown length
+ */
+async function scheduleCapture(action, seconds) {
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    const when = Date.now() + Math.min(Math.ceil(seconds), CONFIG.MAX_TIMER_DELAY) * 1000;
 
-            captures.push({
-                imageData,
-                offsetY: scrollY,
-                isLast: i === captureCount - 1
-            });
-        }
+    await browser.storage.session.set({ pendingCapture: { action, tabId: tab.id } });
+    await browser.alarms.create(CAPTURE_ALARM, { when });
 
-        // Restore original scroll position
-        await browser.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: () => {
-                window.scrollTo(0, window.__arintOriginalScroll || 0);
-                delete window.__arintOriginalScroll;
-            }
-        });
+    await browser.action.setBadgeBackgroundColor({ color: CONFIG.BADGE_COLOR });
+    showCountdown(when);
+}
 
-        // Stitch images together
-        const stitchedImage = await stitchImages(captures, dimensions);
+/**
+ * Show the seconds left until a delayed capture on the badge. Only a display:
+ * the alarm runs the capture even if this stops with the background script.
+ * @param {number} when - Time of the capture (ms since the epoch)
+ */
+function showCountdown(when) {
+    clearTimeout(countdownTimer);
 
-        // Open editor with stitched image
-        await openEditor(stitchedImage);
-    } catch (error) {
-        console.error('Arint Screenshot: Full page capture failed', error);
-        throw error;
+    const remaining = Math.ceil((when - Date.now()) / 1000);
+    if (remaining <= 0) {
+        countdownTimer = null;
+        return;
     }
+
+    browser.action.setBadgeText({ text: String(remaining) }).catch(error => {
+        console.error('Arint Screenshot: Failed to update countdown', error);
+    });
+    countdownTimer = setTimeout(() => showCountdown(when), when - Date.now() - (remaining - 1) * 1000);
 }
 
 /**
- * Get page dimensions (injected into page)
+ * Run the capture scheduled by scheduleCapture on the tab the timer was
+ * started on, bringing it back if the user switched away
  */
-function getPageDimensions() {
-    return {
-        scrollWidth: document.documentElement.scrollWidth,
-        scrollHeight: document.documentElement.scrollHeight,
-        viewportWidth: window.innerWidth,
-        viewportHeight: window.innerHeight,
-        devicePixelRatio: window.devicePixelRatio || 1
-    };
+async function runScheduledCapture() {
+    clearTimeout(countdownTimer);
+    countdownTimer = null;
+
+    const { pendingCapture } = await browser.storage.session.get('pendingCapture');
+    await browser.storage.session.remove('pendingCapture');
+    await browser.action.setBadgeText({ text: '' });
+    if (!pendingCapture) return;
+
+    const tab = await browser.tabs.get(pendingCapture.tabId).catch(() => null);
+    if (!tab) {
+        console.log('Arint Screenshot: Tab closed before delayed capture');
+        return;
+    }
+    if (!tab.active) {
+        await browser.tabs.update(tab.id, { active: true });
+        await delay(CONFIG.CAPTURE_DELAY);
+    }
+
+    await handleCaptureRequest(pendingCapture.action, tab);
 }
 
 /**
- * Stitch multiple captures into one image
- * @param {Array} captures - Array of capture objects
- * @param {object} dimensions - Page dimensions
- * @returns {string} - Stitched image data URL
+ * Capture several tabs one after another for the batch review page. Each tab
+ * is activated, given time to load, and captured; the images are stored for
+ * the review tab and added to the history, but no editors are opened.
+ * @param {Array<number>} tabIds - Tabs to capture, in order
+ * @param {string} mode - 'visible' or 'fullpage'
+ * @param {object} reviewTab - The batch page, which owns the results
+ * @returns {Array<object>} - Per tab: {tabId, url, title, status, reason?, captureIds}
  */
-async function stitchImages(captures, dimensions) {
-    // Create an offscreen canvas for stitching
-    const canvas = new OffscreenCanvas(
-        dimensions.viewportWidth * dimensions.devicePixelRatio,
-        Math.min(dimensions.scrollHeight, CONFIG.MAX_PAGE_HEIGHT) * dimensions.devicePixelRatio
-    );
-    const ctx = canvas.getContext('2d');
+async function captureTabs(tabIds, mode, reviewTab) {
+    const results = [];
 
-    // Draw each capture at the correct position
-    for (const capture of captures) {
-        const img = await createImageBitmap(await (await fetch(capture.imageData)).blob());
+    for (let i = 0; i < tabIds.length; i++) {
+        const tab = await browser.tabs.get(tabIds[i]).catch(() => null);
+
+        browser.runtime.sendMessage({
+            type: 'BATCH_PROGRESS',
+            current: i + 1,
+            total: tabIds.length,
+            title: tab ? tab.title : ''
+        }).catch(() => { /* Review page was closed */ });
 
-        const drawY = capture.offsetY * dimensions.devicePixelRatio;
+        if (!tab) {
+            results.push({ tabId: tabIds[i], status: 'skipped', reason: 'Tab was closed', captureIds: [] });
+            continue;
+        }
 
-        // For the last segment, we may need to crop to avoid overlap
-        if (capture.isLast) {
-            const remainingHeight = (dimensions.scrollHeight * dimensions.devicePixelRatio) - drawY;
-            const sourceY = img.height - remainingHeight;
+        const result = { tabId: tab.id, url: tab.url, title: tab.title, captureIds: [] };
 
-            if (sourceY > 0) {
-                ctx.drawImage(
-                    img,
-                    0, sourceY, img.width, remainingHeight,
-                    0, drawY, img.width, remainingHeight
-                );
-            } else {
-                ctx.drawImage(img, 0, drawY);
+        if (isRestrictedUrl(tab.url)) {
+            results.push({ ...result, status: 'skipped', reason: 'Browser and add-on pages cannot be captured' });
+            continue;
+        }
+
+        try {
+            await browser.tabs.update(tab.id, { active: true });
+            const loadedTab = await waitForTabLoad(tab.id);
+            const source = await describeSource(loadedTab, mode);
+
+            const parts = mode === 'fullpage'
+                ? (await stitchFullPage(loadedTab)).parts
+                : [await captureTab(loadedTab.windowId)];
+
+            for (let part = 0; part < parts.length; part++) {
+                const details = parts.length > 1 ? { part: part + 1, parts: parts.length } : {};
+                const id = crypto.randomUUID();
+                const historyId = await addToHistory(parts[part], source, details);
+
+                await ArintDB.putCapture({
+                    id,
+                    imageData: parts[part],
+                    ...details,
+                    metadata: source,
+                    historyId,
+                    createdAt: Date.now(),
+                    tabId: reviewTab.id
+                });
+                result.captureIds.push(id);
             }
-        } else {
-            ctx.drawImage(img, 0, drawY);
+
+            results.push({ ...result, title: loadedTab.title, status: 'captured' });
+        } catch (error) {
+            console.error('Arint Screenshot: Batch capture failed for tab', tab.id, error);
+            results.push({ ...result, status: 'failed', reason: error.message });
         }
     }
 
-    // Convert to data URL
-    const blob = await canvas.convertToBlob({ type: 'image/png' });
-    return new Promise((resolve) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.readAsDataURL(blob);
-    });
+    // Bring the review page back
+    await browser.tabs.update(reviewTab.id, { active: true }).catch(() => { /* Closed meanwhile */ });
+
+    return results;
 }
 
 /**
- * Initiate selection mode by injecting content script
- * @param {object} tab - The tab to inject into
+ * Check whether the browser refuses to let extensions capture or script a URL
+ * @param {string} url
+ * @returns {boolean}
  */
-async function initiateSelection(tab) {
-    try {
-        // Inject selection content script
-        await browser.scripting.executeScript({
-            target: { tabId: tab.id },
-            files: ['src/arint-content.js']
-        });
+function isRestrictedUrl(url) {
+    return !url ||
+        /^(about|moz-extension|view-source|chrome|resource):/.test(url) ||
+        url.startsWith('https://addons.mozilla.org/');
+}
 
-        // Also inject styling
-        await browser.scripting.insertCSS({
-            target: { tabId: tab.id },
-            css: `
-        .arint-selection-overlay {
-          position: fixed !important;
-          top: 0 !important;
-          left: 0 !important;
-          width: 100vw !important;
-          height: 100vh !important;
-          background: rgba(0, 0, 0, 0.3) !important;
-          cursor: crosshair !important;
-          z-index: 2147483647 !important;
-        }
-        .arint-selection-box {
-          position: fixed !important;
-          border: 2px dashed #6366f1 !important;
-          background: rgba(99, 102, 241, 0.1) !important;
-          z-index: 2147483647 !important;
-          pointer-events: none !important;
-        }
-        .arint-selection-info {
-          position: fixed !important;
-          background: rgba(15, 15, 20, 0.9) !important;
-          color: #f0f0f5 !important;
-          font-family: -apple-system, BlinkMacSystemFont, sans-serif !important;
-          font-size: 12px !important;
-          padding: 4px 8px !important;
-          border-radius: 4px !important;
-          z-index: 2147483647 !important;
-          pointer-events: none !important;
-        }
-      `
-        });
-    } catch (error) {
-        console.error('Arint Screenshot: Selection initiation failed', error);
-        throw error;
+/**
+ * Wait until a tab has finished loading (tabs restored lazily start loading
+ * only once activated), then let it paint
+ * @param {number} tabId
+ * @returns {object} - The loaded tab
+ */
+async function waitForTabLoad(tabId) {
+    const deadline = Date.now() + CONFIG.TAB_LOAD_TIMEOUT;
+    let tab = await browser.tabs.get(tabId);
+
+    while (tab.status !== 'complete' && Date.now() < deadline) {
+        await delay(CONFIG.CAPTURE_DELAY);
+        tab = await browser.tabs.get(tabId);
     }
+
+    await delay(CONFIG.CAPTURE_DELAY * 3);
+    return tab;
 }
 
 /**
- * Handle selection completion from content script
- * @param {object} selection - Selection coordinates
- * @param {object} tab - The source tab
+ * Answer a request from another extension, if the user enabled the API and
+ * the sender is on the allow-list
+ * @param {object} message - {type: 'PING'} or {type: 'CAPTURE', ...}, see captureForApi
+ * @param {object} sender - Message sender, with the calling extension's ID
+ * @returns {object} - Response fields added next to success: true
  */
-async function handleSelectionComplete(selection, tab) {
-    try {
-        // Get the active tab (sender.tab might not have windowId in some cases)
-        const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+async function handleExternalRequest(message, sender) {
+    const settings = await getSettings();
+    if (!settings.externalApi) {
+        throw new CaptureError('PERMISSION_DENIED', 'The capture API is disabled in Arint Screenshot settings');
+    }
 
-        // Capture the visible viewport
-        const imageData = await browser.tabs.captureVisibleTab(activeTab.windowId, {
-            format: 'png'
-        });
+    // Only extensions the user named may capture; an empty list allows none
+    const allowList = settings.externalApiAllowList.split(/[\s,]+/).filter(Boolean);
+    if (!allowList.includes(sender.id)) {
+        throw new CaptureError('PERMISSION_DENIED', `Extension ${sender.id} is not allowed to use the capture API`);
+    }
 
-        // Crop the image to selection bounds
-        const croppedImage = await cropImage(imageData, selection);
+    switch (message && message.type) {
+        case 'PING':
+            return { version: browser.runtime.getManifest().version };
 
-        // Open editor with cropped image
-        await openEditor(croppedImage);
-    } catch (error) {
-        console.error('Arint Screenshot: Selection capture failed', error);
-        throw error;
+        case 'CAPTURE':
+            return { images: await captureForApi(message) };
+
+        default:
+            throw new Error(`Unknown request type: ${message && message.type}`);
     }
 }
 
 /**
- * Crop image to specified bounds
- * @param {string} imageData - Image data URL
- * @param {object} selection - {x, y, width, height}
- * @returns {string} - Cropped image data URL
+ * Capture a tab for an API caller and return the images instead of opening
+ * the editor. The tab is brought to the front if needed.
+ * @param {object} request
+ * @param {string} request.mode - 'visible', 'fullpage', 'region' or 'element'
+ * @param {number} [request.tabId] - Tab to capture, defaults to the active tab
+ * @param {object} [request.region] - {x, y, width, height} in CSS pixels; document
+ *   coordinates for 'region', viewport coordinates to crop a 'visible' capture
+ * @param {string} [request.selector] - CSS selector of the element for 'element'
+ * @returns {Array<string>} - PNG data URLs; more than one when the image was split into parts
  */
-async function cropImage(imageData, selection) {
-    const img = await createImageBitmap(await (await fetch(imageData)).blob());
+async function captureForApi({ mode, tabId, region, selector }) {
+    let tab = tabId !== undefined
+        ? await browser.tabs.get(tabId)
+        : (await browser.tabs.query({ active: true, lastFocusedWindow: true }))[0];
+
+    if (!tab) {
+        throw new CaptureError('TAB_CLOSED', 'There is no tab to capture');
+    }
+    if (isRestrictedUrl(tab.url)) {
+        throw new CaptureError('RESTRICTED_PAGE', 'This tab cannot be captured');
+    }
+
+    if (!(await browser.permissions.contains({ origins: ['<all_urls>'] }))) {
+        throw new CaptureError('PERMISSION_DENIED', 'Arint Screenshot needs access to all sites to capture for other extensions');
+    }
+
+    if (!tab.active) {
+        await browser.tabs.update(tab.id, { active: true });
+        tab = await waitForTabLoad(tab.id);
+    }
+
+    switch (mode) {
+        case 'visible': {
+            const imageData = await captureTab(tab.windowId);
+            if (!region) return [imageData];
+
+            const { devicePixelRatio } = await measurePage(tab);
+            return [await cropImage(imageData, { ...region, devicePixelRatio })];
+        }
+
+        case 'fullpage':
+            return (await stitchFullPage(tab)).parts;
+
+        case 'region':
+            if (!region || !(region.width > 0) || !(region.height > 0)) {
+                throw new Error('A region with a positive width and height is required');
+            }
+            return (await captureDocumentRegion(tab, region)).parts;
+
+        case 'element': {
+            const [result] = await browser.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: (query) => {
+                    const el = document.querySelector(query);
+                    if (!el) return null;
+
+                    const rect = el.getBoundingClientRect();
+                    return {
+                        x: rect.left + window.scrollX,
+                        y: rect.top + window.scrollY,
+                        width: rect.width,
+                        height: rect.height
+                    };
+                },
+                args: [String(selector)]
+            });
+
+            const element = result.result;
+            if (!element || element.width < 1 || element.height < 1) {
+                throw new Error(`No visible element matches ${selector}`);
+            }
+            return (await captureDocumentRegion(tab, element)).parts;
+        }
+
+        default:
+            throw new Error(`Unknown capture mode: ${mode}`);
+    }
+}
+
+/**
+ * Capture the visible viewport
+ * @param {object} tab - The tab to capture
+ */
+async function captureVisibleArea(tab) {
+    try {
+        // Capture the visible tab
+        const source = await describeSource(tab, 'visible');
+        const imageData = await captureTab(tab.windowId);
+        const scan = await scanSensitiveText(tab);
+
+        // Open editor with captured image
+        await openEditor(imageData, { source, detections: locateDetections(scan) });
+    } catch (error) {
+        console.error('Arint Screenshot: Visible capture failed', error);
+        throw error;
+    }
+}
+
+/**
+ * Capture the full page at each configured viewport width by resizing the
+ * window, then open the results one editor per width or as one side-by-side
+ * image. The window size is restored afterwards.
+ * @param {object} tab - The tab to capture
+ */
+async function captureResponsive(tab) {
+    const settings = await getSettings();
+    const widths = parseWidths(settings.responsiveWidths);
+    if (widths.length === 0) {
+        throw new Error('No responsive widths configured');
+    }
+
+    const original = await browser.windows.get(tab.windowId);
+    const { devicePixelRatio } = await measurePage(tab);
+    const results = [];
+
+    try {
+        // Maximized and fullscreen windows cannot be resized
+        if (original.state !== 'normal') {
+            await browser.windows.update(original.id, { state: 'normal' });
+        }
+
+        for (const width of widths) {
+            const viewportWidth = await resizeViewport(tab, width);
+            if (viewportWidth !== width) {
+                console.log(`Arint Screenshot: Could not resize viewport to ${width}px, captured at ${viewportWidth}px`);
+            }
+
+            // The viewport of this breakpoint, before the window is restored
+            const source = await describeSource(tab, 'responsive');
+            const { parts } = await stitchFullPage(tab);
+            results.push({ width: viewportWidth, parts, source });
+        }
+    } finally {
+        await browser.windows.update(original.id, original.state === 'normal'
+            ? { width: original.width, height: original.height, left: original.left, top: original.top }
+            : { state: original.state });
+    }
+
+    if (settings.responsiveLayout === 'combined') {
+        const parts = await combineSideBySide(results, devicePixelRatio);
+        await openEditorParts(parts, {
+            ...results[0].source,
+            viewportWidth: results.map(result => result.width).join(', ')
+        });
+        return;
+    }
+
+    for (const result of results) {
+        await openEditorParts(result.parts, {
+            ...result.source,
+            title: `${tab.title || ''} @ ${result.width}px`,
+            viewportWidth: result.width
+        });
+    }
+}
+
+/**
+ * Parse a comma or space separated list of widths, ignoring anything invalid
+ * @param {string} value - e.g. "375, 768, 1280"
+ * @returns {Array<number>}
+ */
+function parseWidths(value) {
+    return String(value || '')
+        .split(/[\s,;]+/)
+        .map(Number)
+        .filter(width => Number.isInteger(width) && width >= 200 && width <= 7680);
+}
+
+/**
+ * Resize the window so the page's viewport gets the given width. Browser
+ * chrome width differs per window and OS, so measure and correct.
+ * @param {object} tab - The tab whose viewport is resized
+ * @param {number} width - Wanted viewport width (CSS px)
+ * @returns {number} - Viewport width reached; windows have a minimum size
+ */
+async function resizeViewport(tab, width) {
+    let viewport;
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const [result] = await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => ({ outer: window.outerWidth, inner: window.innerWidth })
+        });
+        viewport = result.result;
+        if (viewport.inner === width) break;
+
+        await browser.windows.update(tab.windowId, { width: viewport.outer + width - viewport.inner });
+        await delay(CONFIG.RESIZE_DELAY);
+    }
+
+    const [result] = await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => window.innerWidth
+    });
+    return result.result;
+}
+
+/**
+ * Lay the breakpoint captures out side by side, each under a width label.
+ * Parts of one breakpoint are stacked in order. Reuses stitchImages, so a
+ * result too large for one canvas is split into parts like any capture.
+ * @param {Array<object>} results - {width, parts} per breakpoint
+ * @param {number} dpr - Device pixel ratio of the captures
+ * @returns {Array<string>} - Image data URLs
+ */
+async function combineSideBySide(results, dpr) {
+    const captures = [];
+    let offsetX = 0;
+    let totalHeight = 0;
+
+    for (const result of results) {
+        let offsetY = CONFIG.RESPONSIVE_LABEL_HEIGHT;
+        let columnWidth = result.width;
+
+        for (const imageData of result.parts) {
+            const img = await loadImageBitmap(imageData);
+            const size = { width: img.width / dpr, height: img.height / dpr };
+            img.close();
+
+            captures.push({ imageData, offsetX, offsetY, clip: { x: 0, y: 0, ...size } });
+            offsetY += size.height;
+            columnWidth = Math.max(columnWidth, size.width);
+        }
+
+        captures.push({
+            imageData: await drawWidthLabel(`${result.width}px`, columnWidth, dpr),
+            offsetX,
+            offsetY: 0,
+            clip: { x: 0, y: 0, width: columnWidth, height: CONFIG.RESPONSIVE_LABEL_HEIGHT }
+        });
+
+        offsetX += columnWidth + CONFIG.RESPONSIVE_GAP;
+        totalHeight = Math.max(totalHeight, offsetY);
+    }
+
+    return stitchImages(captures, {
+        width: offsetX - CONFIG.RESPONSIVE_GAP,
+        height: totalHeight
+    }, { devicePixelRatio: dpr, clientWidth: 0, clientHeight: 0 });
+}
+
+/**
+ * Render the label shown above a breakpoint in a side-by-side image
+ * @param {string} text
+ * @param {number} width - Label width (CSS px)
+ * @param {number} dpr - Device pixel ratio of the captures
+ * @returns {string} - Image data URL
+ */
+async function drawWidthLabel(text, width, dpr) {
+    const canvas = new OffscreenCanvas(Math.round(width * dpr), Math.round(CONFIG.RESPONSIVE_LABEL_HEIGHT * dpr));
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#1e293b';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#f1f5f9';
+    ctx.font = `600 ${14 * dpr}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, 10 * dpr, canvas.height / 2);
+
+    return canvasToDataUrl(canvas);
+}
+
+/**
+ * Capture the visible viewport straight to the clipboard, without the editor
+ * @param {object} tab - The tab to capture
+ */
+async function copyVisibleArea(tab) {
+    const imageData = await captureTab(tab.windowId);
+
+    const buffer = await (await fetch(imageData)).arrayBuffer();
+    await browser.clipboard.setImageData(buffer, 'png');
+
+    // No editor opens, so confirm on the toolbar icon instead
+    await browser.action.setBadgeBackgroundColor({ color: CONFIG.BADGE_COLOR });
+    await browser.action.setBadgeText({ text: '✓' });
+    setTimeout(() => browser.action.setBadgeText({ text: '' }), 1500);
+}
+
+/**
+ * Capture the full page by scrolling and stitching
+ * @param {object} tab - The tab to capture
+ */
+async function captureFullPage(tab) {
+    try {
+        // Described before scrolling, as the capture starts
+        const source = await describeSource(tab, 'fullpage');
+        const { parts, mode, sensitiveText } = await stitchFullPage(tab, { detect: true });
+
+        // Open editor with stitched image (one per part for very long pages)
+        await openEditorParts(parts, { ...source, mode }, sensitiveText);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('Arint Screenshot: Full page capture cancelled');
+            return;
+        }
+
+        console.error('Arint Screenshot: Full page capture failed', error);
+        throw error;
+    }
+}
+
+/**
+ * Scroll through the page and stitch it into images
+ * @param {object} tab - The tab to capture
+ * @param {object} [options]
+ * @param {boolean} [options.detect] - Scan each segment for sensitive text as it is captured
+ * @returns {{parts: Array<string>, mode: string, sensitiveText: object|null}} - Image
+ *   parts, with mode 'container' when the page does not scroll and an inner area
+ *   was captured; sensitiveText is the text found (see placeCapturedText), not
+ *   looked for in containers
+ */
+async function stitchFullPage(tab, { detect = false } = {}) {
+    // Inject helper to get page dimensions and control scrolling
+    let dimensions = await measurePage(tab);
+    console.log('Arint Screenshot: Page dimensions', dimensions);
+
+    // App-style layouts keep the page fixed and scroll an inner element instead
+    if (dimensions.scrollHeight <= dimensions.clientHeight &&
+        dimensions.scrollWidth <= dimensions.clientWidth) {
+        const [marked] = await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: markScrollContainer
+        });
+
+        if (marked.result) {
+            console.log('Arint Screenshot: Page does not scroll, capturing inner scroll container');
+            return { parts: await captureScrollContainer(tab), mode: 'container', sensitiveText: null };
+        }
+    }
+
+    const settings = await getSettings();
+
+    // Store original scroll position
+    await saveScrollPosition(tab);
+
+    // Capture each viewport segment
+    const captures = [];
+    let totalWidth;
+    let totalHeight;
+
+    // Aborted from the progress overlay; partial captures are then dropped
+    const controller = new AbortController();
+    activeCaptures.set(tab.id, controller);
+
+    try {
+        await showCaptureProgress(tab, 0, 0);
+
+        if (settings.freezeAnimations) {
+            await browser.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: freezeAnimations
+            });
+        }
+
+        if (settings.waitForLazyContent) {
+            // Scroll through once so lazy images and infinite-scroll content load,
+            // then measure again since the page has probably grown
+            await browser.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: preloadLazyContent,
+                args: [dimensions.scrollHeight, CONFIG.LAZY_LOAD_STEP_DELAY, CONFIG.LAZY_LOAD_TIMEOUT]
+            });
+            dimensions = await measurePage(tab);
+        }
+
+        controller.signal.throwIfAborted();
+
+        // Calculate the grid of captures needed; scrollbars are not page
+        // content, so step by the client area in both directions
+        const tileWidth = dimensions.clientWidth;
+        const tileHeight = dimensions.clientHeight;
+        totalWidth = dimensions.scrollWidth;
+        const columnCount = Math.ceil(totalWidth / tileWidth);
+
+        // Image matching needs the rows to overlap so there is something to align
+        const matching = settings.stitchMode === 'match';
+        const rowStep = matching
+            ? Math.round(tileHeight * (1 - CONFIG.STITCH_OVERLAP))
+            : tileHeight;
+
+        // Find fixed/sticky elements so they are not repeated in every segment
+        await prepareFixedElements(tab);
+
+        // Scroll positions are trusted to cover the measured page height. Image
+        // matching is for pages that shift, so its rows continue until the
+        // bottom is reached, within a memory budget for pages that keep growing
+        const rowCount = Math.ceil(Math.max(0, dimensions.scrollHeight - tileHeight) / rowStep) + 1;
+        let requestedY = 0;
+        let previousY = -1;
+        let segmentCount = columnCount * rowCount;
+        let capturedBytes = 0;
+
+        for (let row = 0; matching || row < rowCount; row++) {
+            let rowY = 0;
+            let isLastRow = false;
+
+            for (let column = 0; column < columnCount; column++) {
+                // The last row/column is clamped by the browser, so it overlaps
+                // the previous one; drawing at the actual position crops it
+                const position = await scrollTabTo(tab, column * tileWidth, requestedY);
+
+                if (column === 0) {
+                    rowY = position.y;
+                    isLastRow = position.y + tileHeight >= position.scrollHeight ||
+                        (!matching && row === rowCount - 1);
+
+                    // Headers only in the first row, footers only in the last
+                    await setFixedElementsVisibility(tab, row === 0, isLastRow);
+
+                    // Pages that grow while scrolling need more segments than first estimated
+                    if (matching) {
+                        segmentCount = Math.max(segmentCount, captures.length + columnCount *
+                            (Math.ceil(Math.max(0, position.scrollHeight - position.y - tileHeight) / rowStep) + 1));
+                    }
+                }
+
+                // Wait for scroll and content to settle
+                await settleAfterScroll(tab, settings);
+                controller.signal.throwIfAborted();
+
+                // Capture visible viewport, without the progress overlay
+                await browser.scripting.executeScript({
+                    target: { tabId: tab.id },
+                    func: hideProgressOverlay
+                });
+                const imageData = await captureTab(tab.windowId);
+
+                captures.push({
+                    imageData,
+                    row,
+                    offsetX: position.x,
+                    offsetY: position.y,
+                    // Scanned before anything moves, so hidden fixed elements are left out
+                    scan: detect ? await scanSensitiveText(tab) : null
+                });
+                capturedBytes += imageData.length;
+
+                await showCaptureProgress(tab, captures.length, segmentCount);
+            }
+
+            // Stop at the bottom, or if the page refused to scroll any further
+            if (isLastRow || rowY <= previousY) break;
+
+            if (capturedBytes >= CONFIG.MAX_GROWTH_BYTES) {
+                console.warn('Arint Screenshot: Page keeps growing, stopping at the capture memory budget');
+                break;
+            }
+
+            previousY = rowY;
+            requestedY = rowY + rowStep;
+        }
+
+        // Where the scroll position can't be trusted, place rows by their content
+        if (matching) {
+            await alignCapturesByContent(captures, dimensions);
+        }
+
+        totalHeight = Math.max(...captures.map(capture => capture.offsetY)) + tileHeight;
+    } finally {
+        activeCaptures.delete(tab.id);
+        await browser.action.setBadgeText({ text: '' });
+        await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: removeProgressOverlay
+        });
+
+        // Put fixed elements, animations, lazy loading and the scroll position
+        // back the way we found them
+        await restoreFixedElements(tab);
+        if (settings.freezeAnimations) {
+            await browser.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: unfreezeAnimations
+            });
+        }
+        if (settings.waitForLazyContent) {
+            await browser.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: restoreLazyLoading
+            });
+        }
+        await restoreScrollPosition(tab);
+    }
+
+    // Stitch images together
+    const size = { width: totalWidth, height: totalHeight };
+    const parts = await stitchImages(captures, size, dimensions);
+
+    return {
+        parts,
+        mode: 'fullpage',
+        sensitiveText: detect ? placeCapturedText(captures, size, dimensions) : null
+    };
+}
+
+/**
+ * Report full-page capture progress on the toolbar badge and in the page
+ * @param {object} tab - The tab being captured
+ * @param {number} done - Segments captured so far
+ * @param {number} total - Estimated number of segments (0 while preparing)
+ */
+async function showCaptureProgress(tab, done, total) {
+    const percent = total > 0 ? Math.min(99, Math.floor(done / total * 100)) : 0;
+    const text = total > 0
+        ? `Capturing full page… ${Math.min(done, total)} of ${total}`
+        : 'Preparing full page capture…';
+
+    await browser.action.setBadgeBackgroundColor({ color: CONFIG.BADGE_COLOR });
+    await browser.action.setBadgeText({ text: `${percent}%` });
+    await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: showProgressOverlay,
+        args: [text, percent]
+    });
+}
+
+/**
+ * Show (creating on first use) the in-page progress panel with a cancel
+ * button. Lives in a closed shadow root so page styles cannot reach it.
+ * @param {string} text - Status line
+ * @param {number} percent - Progress bar fill
+ */
+function showProgressOverlay(text, percent) {
+    let progress = window.__arintProgress;
+
+    if (!progress) {
+        const host = document.createElement('div');
+        host.id = 'arint-progress-overlay';
+        host.style.cssText = 'all: initial; position: fixed; right: 16px; bottom: 16px; z-index: 2147483647;';
+
+        const root = host.attachShadow({ mode: 'closed' });
+        root.innerHTML = `
+            <style>
+                .panel { display: flex; flex-direction: column; gap: 8px; min-width: 240px; padding: 12px 14px;
+                    background: rgba(15, 15, 20, 0.92); color: #f0f0f5; border-radius: 10px;
+                    font: 12px -apple-system, BlinkMacSystemFont, sans-serif; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4); }
+                .row { display: flex; align-items: center; justify-content: space-between; gap: 12px; }
+                .bar { height: 4px; background: rgba(255, 255, 255, 0.15); border-radius: 2px; overflow: hidden; }
+                .fill { height: 100%; width: 0; background: #6366f1; transition: width 0.2s; }
+                button { background: none; border: 1px solid rgba(255, 255, 255, 0.3); color: inherit;
+                    border-radius: 4px; padding: 2px 8px; font: inherit; cursor: pointer; }
+                button:hover { border-color: #ef4444; color: #ef4444; }
+            </style>
+            <div class="panel">
+                <div class="row"><span class="text"></span><button>Cancel</button></div>
+                <div class="bar"><div class="fill"></div></div>
+            </div>`;
+
+        const cancel = () => browser.runtime.sendMessage({ type: 'CANCEL_CAPTURE' });
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') cancel();
+        };
+        root.querySelector('button').addEventListener('click', cancel);
+        document.addEventListener('keydown', onKeyDown, true);
+
+        document.documentElement.appendChild(host);
+        progress = window.__arintProgress = {
+            host,
+            text: root.querySelector('.text'),
+            fill: root.querySelector('.fill'),
+            onKeyDown
+        };
+    }
+
+    progress.text.textContent = text;
+    progress.fill.style.width = percent + '%';
+    progress.host.style.setProperty('visibility', 'visible', 'important');
+}
+
+/**
+ * Hide the progress panel while a segment is captured
+ */
+function hideProgressOverlay() {
+    if (window.__arintProgress) {
+        window.__arintProgress.host.style.setProperty('visibility', 'hidden', 'important');
+    }
+}
+
+/**
+ * Remove the progress panel once the capture has finished or was cancelled
+ */
+function removeProgressOverlay() {
+    const progress = window.__arintProgress;
+    if (!progress) return;
+
+    document.removeEventListener('keydown', progress.onKeyDown, true);
+    progress.host.remove();
+    delete window.__arintProgress;
+}
+
+/**
+ * Re-position rows of overlapping captures by matching their pixels, for
+ * pages that change height, collapse headers or snap while scrolling. The
+ * first column of each row is compared with the row above; the offset found
+ * is applied to the whole row. Rows with no convincing match keep the offset
+ * reported by the browser.
+ * @param {Array} captures - Captures with row, offsetX and offsetY (updated in place)
+ * @param {object} dimensions - Page dimensions
+ */
+async function alignCapturesByContent(captures, dimensions) {
+    const dpr = dimensions.devicePixelRatio;
+    const firstColumn = [];
+    for (const capture of captures) {
+        if (!firstColumn[capture.row]) firstColumn[capture.row] = capture;
+    }
+
+    // Offsets reported by the browser, before any correction
+    const reportedY = firstColumn.map(capture => capture.offsetY);
+
+    let previousSignature = await getRowSignatures(firstColumn[0].imageData, dimensions);
+    let alignedY = reportedY[0];
+
+    for (let row = 1; row < firstColumn.length; row++) {
+        const signature = await getRowSignatures(firstColumn[row].imageData, dimensions);
+
+        // The browser's idea of the distance, in device pixels
+        const expected = Math.round((reportedY[row] - reportedY[row - 1]) * dpr);
+        const shift = findBestRowShift(previousSignature, signature, expected);
+
+        if (shift !== expected) {
+            console.log(`Arint Screenshot: Row ${row} aligned by content, ${shift - expected}px off`);
+        }
+
+        // Move this row (every column) to where its content actually belongs
+        alignedY += shift / dpr;
+        for (const capture of captures) {
+            if (capture.row === row) capture.offsetY = alignedY;
+        }
+
+        previousSignature = signature;
+    }
+}
+
+/**
+ * Reduce each pixel row of a capture's client area to a hash so rows can be
+ * compared cheaply. Rows of a single colour carry no position information
+ * and are flagged as blank.
+ * @param {string} imageData - Capture data URL
+ * @param {object} dimensions - Page dimensions
+ * @returns {{hashes: Uint32Array, blank: Uint8Array}}
+ */
+async function getRowSignatures(imageData, dimensions) {
+    const dpr = dimensions.devicePixelRatio;
+    const width = Math.round(dimensions.clientWidth * dpr);
+    const height = Math.round(dimensions.clientHeight * dpr);
+
+    const img = await loadImageBitmap(imageData);
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(img, 0, 0);
+    img.close();
+
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+    const hashes = new Uint32Array(height);
+    const blank = new Uint8Array(height);
+
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * width * 4;
+        const first = pixels[rowStart] << 16 | pixels[rowStart + 1] << 8 | pixels[rowStart + 2];
+        let hash = 2166136261;
+        let uniform = true;
+
+        for (let x = 0; x < width; x += CONFIG.MATCH_SAMPLE_STEP) {
+            const i = rowStart + x * 4;
+            const rgb = pixels[i] << 16 | pixels[i + 1] << 8 | pixels[i + 2];
+            if (rgb !== first) uniform = false;
+            hash = Math.imul(hash ^ rgb, 16777619) >>> 0;
+        }
+
+        hashes[y] = hash;
+        blank[y] = uniform ? 1 : 0;
+    }
+
+    return { hashes, blank };
+}
+
+/**
+ * Find how far (in device pixels) the next capture's content moved from the
+ * previous one, i.e. the shift at which the top of the next capture lines up
+ * with the bottom of the previous one.
+ * @param {object} previous - Row signatures of the upper capture
+ * @param {object} next - Row signatures of the lower capture
+ * @param {number} expected - Shift reported by the scroll position
+ * @returns {number} - Best shift, or expected when nothing matches well
+ */
+function findBestRowShift(previous, next, expected) {
+    const height = previous.hashes.length;
+    let bestShift = expected;
+    let bestScore = 0;
+
+    for (let shift = 1; shift <= height - CONFIG.MATCH_MIN_ROWS; shift++) {
+        let informative = 0;
+        let matches = 0;
+
+        for (let y = 0; y + shift < height; y++) {
+            if (previous.blank[y + shift]) continue;
+            informative++;
+            if (previous.hashes[y + shift] === next.hashes[y]) matches++;
+        }
+
+        if (informative < CONFIG.MATCH_MIN_ROWS) continue;
+
+        // Prefer the better match; on a tie, the one closer to what the browser reported
+        const score = matches / informative;
+        if (score > bestScore ||
+            (score === bestScore && Math.abs(shift - expected) < Math.abs(bestShift - expected))) {
+            bestScore = score;
+            bestShift = shift;
+        }
+    }
+
+    return bestScore >= CONFIG.MATCH_MIN_SCORE ? bestShift : expected;
+}
+
+/**
+ * Record fixed and sticky elements on the page before a full-page capture.
+ * Sticky elements are pinned to their place in the flow for the whole capture;
+ * fixed ones are toggled per segment by setFixedElementsVisibility.
+ * @param {object} tab - The tab being captured
+ * @returns {number} - Number of elements found
+ */
+async function prepareFixedElements(tab) {
+    const [result] = await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => {
+            const elements = [];
+
+            for (const el of document.querySelectorAll('body *')) {
+                const position = getComputedStyle(el).position;
+                if (position !== 'fixed' && position !== 'sticky') continue;
+
+                const rect = el.getBoundingClientRect();
+                if (rect.width === 0 || rect.height === 0) continue;
+
+                elements.push({
+                    el,
+                    position,
+                    // Anchored to the top half of the viewport = header, otherwise footer
+                    edge: rect.top + rect.height / 2 < window.innerHeight / 2 ? 'top' : 'bottom',
+                    style: el.getAttribute('style')
+                });
+
+                if (position === 'sticky') {
+                    // Relative keeps the same flow position without sticking to the viewport
+                    el.style.setProperty('position', 'relative', 'important');
+                    el.style.setProperty('top', 'auto', 'important');
+                    el.style.setProperty('bottom', 'auto', 'important');
+                }
+            }
+
+            window.__arintFixedElements = elements;
+            return elements.length;
+        }
+    });
+
+    console.log('Arint Screenshot: Fixed/sticky elements', result.result);
+    return result.result;
+}
+
+/**
+ * Show or hide the recorded fixed elements for the next segment
+ * @param {object} tab - The tab being captured
+ * @param {boolean} showTop - Show elements anchored to the top (headers)
+ * @param {boolean} showBottom - Show elements anchored to the bottom (footers, chat bubbles)
+ */
+async function setFixedElementsVisibility(tab, showTop, showBottom) {
+    await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (top, bottom) => {
+            for (const entry of window.__arintFixedElements || []) {
+                if (entry.position !== 'fixed') continue;
+
+                const visible = entry.edge === 'top' ? top : bottom;
+                if (visible) {
+                    entry.el.style.removeProperty('visibility');
+                    // Bring back any inline visibility the page set itself
+                    if (entry.style !== null) {
+                        entry.el.setAttribute('style', entry.style);
+                    }
+                } else {
+                    entry.el.style.setProperty('visibility', 'hidden', 'important');
+                }
+            }
+        },
+        args: [showTop, showBottom]
+    });
+}
+
+/**
+ * Restore the original inline styles of all recorded fixed/sticky elements
+ * @param {object} tab - The tab being captured
+ */
+async function restoreFixedElements(tab) {
+    await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => {
+            for (const entry of window.__arintFixedElements || []) {
+                if (entry.style === null) {
+                    entry.el.removeAttribute('style');
+                } else {
+                    entry.el.setAttribute('style', entry.style);
+                }
+            }
+            delete window.__arintFixedElements;
+        }
+    });
+}
+
+/**
+ * Wait after a scroll until the new segment is ready to capture
+ * @param {object} tab - The tab being captured
+ * @param {object} settings - Current settings
+ */
+async function settleAfterScroll(tab, settings) {
+    await delay(CONFIG.CAPTURE_DELAY);
+
+    if (settings.waitForLazyContent) {
+        await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: waitForVisibleContent,
+            args: [CONFIG.SETTLE_TIMEOUT]
+        });
+    }
+}
+
+/**
+ * Scroll through the page once so lazy-loaded images and infinite-scroll
+ * content are requested, then wait for pending images and fonts (injected into page)
+ * @param {number} scrollHeight - Page height before loading; keeps infinite scroll from running forever
+ * @param {number} stepDelay - Pause at each step for observers to fire (ms)
+ * @param {number} timeout - Longest time to wait for images and fonts (ms)
+ */
+async function preloadLazyContent(scrollHeight, stepDelay, timeout) {
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Native lazy loading can simply be switched off; restoreLazyLoading puts it back
+    const lazyElements = document.querySelectorAll('img[loading="lazy"], iframe[loading="lazy"]');
+    window.__arintLazyElements = Array.from(lazyElements);
+    lazyElements.forEach(el => {
+        el.loading = 'eager';
+    });
+
+    // Script-driven lazy loading needs the content to come into view
+    for (let y = 0; y < scrollHeight; y += window.innerHeight) {
+        window.scrollTo({ left: 0, top: y, behavior: 'instant' });
+        await wait(stepDelay);
+    }
+    window.scrollTo({ left: 0, top: 0, behavior: 'instant' });
+
+    const pending = Array.from(document.images)
+        .filter(img => !img.complete)
+        .map(img => new Promise(resolve => {
+            img.addEventListener('load', resolve, { once: true });
+            img.addEventListener('error', resolve, { once: true });
+        }));
+
+    await Promise.race([
+        Promise.all([...pending, document.fonts.ready]),
+        wait(timeout)
+    ]);
+}
+
+/**
+ * Wait until the images in the viewport have finished loading and two
+ * frames have been painted (injected into page)
+ * @param {number} timeout - Longest time to wait (ms)
+ */
+async function waitForVisibleContent(timeout) {
+    const deadline = Date.now() + timeout;
+
+    const isVisible = (img) => {
+        const rect = img.getBoundingClientRect();
+        return rect.bottom > 0 && rect.right > 0 &&
+            rect.top < window.innerHeight && rect.left < window.innerWidth;
+    };
+
+    while (Date.now() < deadline &&
+        Array.from(document.images).some(img => !img.complete && isVisible(img))) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+}
+
+/**
+ * Turn native lazy loading back on where preloadLazyContent switched it off
+ * (injected into page)
+ */
+function restoreLazyLoading() {
+    for (const el of window.__arintLazyElements || []) {
+        el.loading = 'lazy';
+    }
+    delete window.__arintLazyElements;
+}
+
+/**
+ * Pause animations and show finite ones in their end state so segments
+ * captured at different times match. Their current times are recorded, so
+ * unfreezeAnimations can put them back (injected into page)
+ */
+function freezeAnimations() {
+    const frozen = [];
+
+    for (const animation of document.getAnimations()) {
+        // Transitions are cut short by the style below and simply run again later;
+        // idle animations have no time to restore
+        if (animation instanceof CSSTransition || animation.currentTime === null) continue;
+
+        // CSS animations are paused by the style; script animations need pausing
+        const paused = !(animation instanceof CSSAnimation) && animation.playState === 'running';
+        frozen.push({ animation, currentTime: animation.currentTime, paused });
+        if (paused) animation.pause();
+
+        const timing = animation.effect && animation.effect.getComputedTiming();
+        if (timing && Number.isFinite(timing.endTime)) {
+            animation.currentTime = timing.endTime;
+        }
+    }
+    window.__arintFrozenAnimations = frozen;
+
+    const style = document.createElement('style');
+    style.id = 'arint-freeze-animations';
+    style.textContent = `
+        *, *::before, *::after {
+          animation-play-state: paused !important;
+          transition: none !important;
+          caret-color: transparent !important;
+        }
+    `;
+    document.documentElement.appendChild(style);
+}
+
+/**
+ * Undo freezeAnimations (injected into page)
+ */
+function unfreezeAnimations() {
+    const style = document.getElementById('arint-freeze-animations');
+    if (style) style.remove();
+
+    for (const { animation, currentTime, paused } of window.__arintFrozenAnimations || []) {
+        animation.currentTime = currentTime;
+        if (paused) animation.play();
+    }
+    delete window.__arintFrozenAnimations;
+}
+
+/**
+ * Measure the page in the given tab
+ * @param {object} tab - The tab to measure
+ * @returns {object} - Page dimensions (see getPageDimensions)
+ */
+async function measurePage(tab) {
+    const [result] = await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: getPageDimensions
+    });
+    return result.result;
+}
+
+/**
+ * Get page dimensions (injected into page)
+ */
+function getPageDimensions() {
+    return {
+        scrollWidth: document.documentElement.scrollWidth,
+        scrollHeight: document.documentElement.scrollHeight,
+        viewportWidth: window.innerWidth,
+        viewportHeight: window.innerHeight,
+        clientWidth: document.documentElement.clientWidth,
+        clientHeight: document.documentElement.clientHeight,
+        devicePixelRatio: window.devicePixelRatio || 1
+    };
+}
+
+/**
+ * Stitch viewport captures into one or more images. Each capture is drawn at
+ * its offset (the scroll position it was taken at, relative to the image
+ * origin); later captures overwrite any overlap and the canvas clips the rest.
+ * Results larger than the browser's canvas limits are split into a grid of
+ * parts instead of being truncated.
+ * @param {Array} captures - Array of {imageData, offsetX, offsetY, clip}, where
+ *   the optional clip {x, y, width, height} is the part of the viewport to use
+ *   (defaults to the whole client area)
+ * @param {object} size - {width, height} of the result in CSS pixels
+ * @param {object} dimensions - Page dimensions
+ * @returns {Array<string>} - Image data URLs, one per part, top to bottom
+ */
+async function stitchImages(captures, size, dimensions) {
+    const dpr = dimensions.devicePixelRatio;
+
+    // Only the client area of each capture is page content (no scrollbars)
+    const clientArea = { x: 0, y: 0, width: dimensions.clientWidth, height: dimensions.clientHeight };
+
+    const parts = [];
+
+    for (const part of getPartRects(size, dpr)) {
+        // Create an offscreen canvas for stitching
+        const canvas = new OffscreenCanvas(Math.round(part.width * dpr), Math.round(part.height * dpr));
+        const ctx = canvas.getContext('2d');
+
+        // Draw each capture that overlaps this part at the correct position
+        for (const capture of captures) {
+            const clip = capture.clip || clientArea;
+
+            if (capture.offsetX >= part.x + part.width || capture.offsetX + clip.width <= part.x ||
+                capture.offsetY >= part.y + part.height || capture.offsetY + clip.height <= part.y) {
+                continue;
+            }
+
+            const img = await loadImageBitmap(capture.imageData);
+
+            ctx.drawImage(
+                img,
+                clip.x * dpr, clip.y * dpr, clip.width * dpr, clip.height * dpr,
+                Math.round((capture.offsetX - part.x) * dpr), Math.round((capture.offsetY - part.y) * dpr),
+                clip.width * dpr, clip.height * dpr
+            );
+            img.close();
+        }
+
+        // Convert to data URL
+        parts.push(await canvasToDataUrl(canvas));
+    }
+
+    return parts;
+}
+
+/**
+ * Split an image into the parts stitchImages creates: the largest that fit
+ * both the canvas side and area limits, in rows from top to bottom
+ * @param {object} size - {width, height} of the image in CSS pixels
+ * @param {number} dpr - Device pixel ratio
+ * @returns {Array<object>} - {x, y, width, height} of each part in CSS pixels
+ */
+function getPartRects(size, dpr) {
+    const partWidth = Math.min(size.width, Math.floor(CONFIG.MAX_CANVAS_SIZE / dpr));
+    const partHeight = Math.min(
+        size.height,
+        Math.floor(Math.min(CONFIG.MAX_CANVAS_SIZE, CONFIG.MAX_CANVAS_AREA / (partWidth * dpr)) / dpr)
+    );
+
+    const rects = [];
+
+    for (let y = 0; y < size.height; y += partHeight) {
+        for (let x = 0; x < size.width; x += partWidth) {
+            rects.push({
+                x,
+                y,
+                width: Math.min(partWidth, size.width - x),
+                height: Math.min(partHeight, size.height - y)
+            });
+        }
+    }
+
+    return rects;
+}
+
+/**
+ * Initiate selection mode by injecting content script
+ * @param {object} tab - The tab to inject into
+ */
+async function initiateSelection(tab) {
+    try {
+        // Inject selection content script
+        await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            files: ['src/arint-content.js']
+        });
+
+        // Also inject styling
+        await browser.scripting.insertCSS({
+            target: { tabId: tab.id },
+            css: `
+        .arint-selection-overlay {
+          position: fixed !important;
+          top: 0 !important;
+          left: 0 !important;
+          width: 100vw !important;
+          height: 100vh !important;
+          background: rgba(0, 0, 0, 0.3) !important;
+          cursor: crosshair !important;
+          z-index: 2147483647 !important;
+        }
+        .arint-selection-box {
+          position: fixed !important;
+          border: 2px dashed #6366f1 !important;
+          background: rgba(99, 102, 241, 0.1) !important;
+          z-index: 2147483647 !important;
+          pointer-events: none !important;
+        }
+        .arint-selection-box.adjusting {
+          pointer-events: auto !important;
+          cursor: move !important;
+        }
+        .arint-selection-handle {
+          position: absolute !important;
+          width: 10px !important;
+          height: 10px !important;
+          margin: -6px 0 0 -6px !important;
+          background: #ffffff !important;
+          border: 2px solid #6366f1 !important;
+          border-radius: 2px !important;
+          box-sizing: border-box !important;
+          display: none !important;
+        }
+        .arint-selection-box.adjusting:not(.fixed-size) .arint-selection-handle {
+          display: block !important;
+        }
+        .arint-selection-handle[data-handle="nw"] { left: 0 !important; top: 0 !important; cursor: nwse-resize !important; }
+        .arint-selection-handle[data-handle="n"] { left: 50% !important; top: 0 !important; cursor: ns-resize !important; }
+        .arint-selection-handle[data-handle="ne"] { left: 100% !important; top: 0 !important; cursor: nesw-resize !important; }
+        .arint-selection-handle[data-handle="e"] { left: 100% !important; top: 50% !important; cursor: ew-resize !important; }
+        .arint-selection-handle[data-handle="se"] { left: 100% !important; top: 100% !important; cursor: nwse-resize !important; }
+        .arint-selection-handle[data-handle="s"] { left: 50% !important; top: 100% !important; cursor: ns-resize !important; }
+        .arint-selection-handle[data-handle="sw"] { left: 0 !important; top: 100% !important; cursor: nesw-resize !important; }
+        .arint-selection-handle[data-handle="w"] { left: 0 !important; top: 50% !important; cursor: ew-resize !important; }
+        .arint-selection-info {
+          position: fixed !important;
+          background: rgba(15, 15, 20, 0.9) !important;
+          color: #f0f0f5 !important;
+          font-family: -apple-system, BlinkMacSystemFont, sans-serif !important;
+          font-size: 12px !important;
+          padding: 4px 8px !important;
+          border-radius: 4px !important;
+          z-index: 2147483647 !important;
+          pointer-events: none !important;
+        }
+        .arint-selection-loupe {
+          position: fixed !important;
+          width: 120px !important;
+          height: 120px !important;
+          border: 2px solid #6366f1 !important;
+          border-radius: 8px !important;
+          box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4) !important;
+          z-index: 2147483647 !important;
+          pointer-events: none !important;
+        }
+        .arint-selection-toolbar {
+          position: fixed !important;
+          top: 12px !important;
+          left: 50% !important;
+          transform: translateX(-50%) !important;
+          display: flex !important;
+          align-items: center !important;
+          gap: 10px !important;
+          background: rgba(15, 15, 20, 0.9) !important;
+          color: #f0f0f5 !important;
+          font-family: -apple-system, BlinkMacSystemFont, sans-serif !important;
+          font-size: 12px !important;
+          padding: 6px 10px !important;
+          border-radius: 8px !important;
+          z-index: 2147483647 !important;
+        }
+        .arint-selection-toolbar label {
+          display: flex !important;
+          align-items: center !important;
+          gap: 4px !important;
+          color: inherit !important;
+          font: inherit !important;
+        }
+        .arint-selection-toolbar select,
+        .arint-selection-toolbar button {
+          background: #1e293b !important;
+          color: #f0f0f5 !important;
+          border: 1px solid rgba(148, 163, 184, 0.3) !important;
+          border-radius: 4px !important;
+          font: inherit !important;
+          padding: 3px 8px !important;
+          margin: 0 !important;
+          cursor: pointer !important;
+        }
+        .arint-selection-toolbar button[data-action="confirm"] {
+          background: #6366f1 !important;
+          border-color: #6366f1 !important;
+        }
+        .arint-selection-hint {
+          color: #94a3b8 !important;
+        }
+      `
+        });
+    } catch (error) {
+        console.error('Arint Screenshot: Selection initiation failed', error);
+        throw error;
+    }
+}
+
+/**
+ * Handle selection completion from content script
+ * @param {object} selection - Selection in document coordinates, plus the scroll
+ *   position and viewport size when it was made
+ * @param {object} tab - The source tab
+ */
+async function handleSelectionComplete(selection, tab) {
+    try {
+        // Get the active tab (sender.tab might not have windowId in some cases)
+        const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+
+        // Selection is in document coordinates; translate to the current viewport
+        const viewportSelection = {
+            ...selection,
+            x: selection.x - selection.scrollX,
+            y: selection.y - selection.scrollY
+        };
+
+        const fitsViewport = viewportSelection.x >= 0 && viewportSelection.y >= 0 &&
+            viewportSelection.x + selection.width <= selection.viewportWidth &&
+            viewportSelection.y + selection.height <= selection.viewportHeight;
+
+        const source = await describeSource(activeTab, 'selection');
+
+        if (!fitsViewport) {
+            // Scroll and stitch only the strips the selection covers
+            const { parts, sensitiveText } = await captureDocumentRegion(activeTab, selection, { detect: true });
+            await openEditorParts(parts, source, sensitiveText);
+            return;
+        }
+
+        // Capture the visible viewport
+        const imageData = await captureTab(activeTab.windowId);
+        const scan = await scanSensitiveText(activeTab);
+
+        // Crop the image to selection bounds
+        const croppedImage = await cropImage(imageData, viewportSelection);
+
+        // Open editor with cropped image
+        await openEditor(croppedImage, { source, detections: locateDetections(scan, viewportSelection) });
+    } catch (error) {
+        console.error('Arint Screenshot: Selection capture failed', error);
+        throw error;
+    }
+}
+
+/**
+ * Initiate element picker mode by injecting the picker script
+ * @param {object} tab - The tab to inject into
+ * @param {string} [mode] - 'element' to capture an element, 'container' to pick a scrolling area
+ */
+async function initiateElementPicker(tab, mode = 'element') {
+    try {
+        // Tell the picker which mode to run in
+        await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: (pickerMode) => {
+                window.__arintPickerMode = pickerMode;
+            },
+            args: [mode]
+        });
+
+        // Inject element picker content script
+        await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            files: ['src/arint-picker.js']
+        });
+
+        // Also inject styling
+        await browser.scripting.insertCSS({
+            target: { tabId: tab.id },
+            css: `
+        .arint-picker-highlight {
+          position: fixed !important;
+          border: 2px solid #6366f1 !important;
+          background: rgba(99, 102, 241, 0.15) !important;
+          box-sizing: border-box !important;
+          z-index: 2147483647 !important;
+          pointer-events: none !important;
+        }
+        .arint-picker-label,
+        .arint-picker-hint {
+          position: fixed !important;
+          background: rgba(15, 15, 20, 0.9) !important;
+          color: #f0f0f5 !important;
+          font-family: -apple-system, BlinkMacSystemFont, sans-serif !important;
+          font-size: 12px !important;
+          padding: 4px 8px !important;
+          border-radius: 4px !important;
+          white-space: nowrap !important;
+          z-index: 2147483647 !important;
+          pointer-events: none !important;
+        }
+        .arint-picker-hint {
+          bottom: 16px !important;
+          left: 50% !important;
+          transform: translateX(-50%) !important;
+        }
+      `
+        });
+    } catch (error) {
+        console.error('Arint Screenshot: Element picker initiation failed', error);
+        throw error;
+    }
+}
+
+/**
+ * Handle element selection from the picker script
+ * @param {object} element - Element bounds in document coordinates
+ * @param {object} tab - The tab the picker ran in
+ */
+async function handleElementSelected(element, tab) {
+    try {
+        // Scroll through and stitch the element's bounding box
+        const source = await describeSource(tab, 'element');
+        const { parts, sensitiveText } = await captureDocumentRegion(tab, element, { detect: true });
+
+        // Open editor with the element image
+        await openEditorParts(parts, source, sensitiveText);
+    } catch (error) {
+        console.error('Arint Screenshot: Element capture failed', error);
+        throw error;
+    }
+}
+
+/**
+ * Capture the element that was right-clicked
+ * @param {object} tab - The tab the menu was opened in
+ * @param {object} info - Menu click info with targetElementId and frameId
+ * @param {string} [mode] - Capture mode recorded in the history
+ */
+async function captureTargetElement(tab, info, mode = 'element') {
+    const element = await getTargetElementBounds(tab, info);
+    if (!element) {
+        throw new Error('Right-clicked element is no longer on the page');
+    }
+
+    const source = await describeSource(tab, mode);
+    const { parts, sensitiveText } = await captureDocumentRegion(tab, element, { detect: true });
+    await openEditorParts(parts, source, sensitiveText);
+}
+
+/**
+ * Open a right-clicked image in the editor at its original resolution. Images
+ * the extension may not download (cross-origin without CORS, SVG) are
+ * captured from the page as displayed instead.
+ * @param {object} tab - The tab the menu was opened in
+ * @param {object} info - Menu click info with srcUrl, targetElementId and frameId
+ */
+async function openImageInEditor(tab, info) {
+    const srcUrl = info.srcUrl;
+
+    try {
+        const response = await fetch(srcUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        // Re-encode as PNG so the editor always gets the same format
+        const img = await createImageBitmap(await response.blob());
+        const canvas = new OffscreenCanvas(img.width, img.height);
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        img.close();
+
+        await openEditor(await canvasToDataUrl(canvas), {
+            source: { ...(await describeSource(tab, 'image')), url: srcUrl }
+        });
+    } catch (error) {
+        console.log('Arint Screenshot: Image download failed, capturing it from the page', error);
+        await captureTargetElement(tab, info, 'image');
+    }
+}
+
+/**
+ * Look up the bounds of a right-clicked element in coordinates of the top
+ * document, also when it is inside a frame
+ * @param {object} tab - The tab the menu was opened in
+ * @param {object} info - Menu click info with targetElementId and frameId
+ * @returns {object|null} - {x, y, width, height}, or null if the element is gone
+ */
+async function getTargetElementBounds(tab, info) {
+    const frameId = info.frameId || 0;
+
+    // The element can only be looked up in the frame it was clicked in
+    const [result] = await browser.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [frameId] },
+        func: (elementId) => {
+            const el = browser.menus.getTargetElement(elementId);
+            if (!el) return null;
+
+            const rect = el.getBoundingClientRect();
+            if (rect.width < 1 || rect.height < 1) return null;
+
+            return {
+                x: rect.left,
+                y: rect.top,
+                width: rect.width,
+                height: rect.height,
+                scrollX: window.scrollX,
+                scrollY: window.scrollY
+            };
+        },
+        args: [info.targetElementId]
+    });
+
+    const element = result.result;
+    if (!element) return null;
+
+    // Inside a frame, add up the offsets of the frames it is nested in
+    let topScroll = element;
+    if (frameId !== 0) {
+        const results = await browser.scripting.executeScript({
+            target: { tabId: tab.id, allFrames: true },
+            func: getChildFrameOffsets
+        });
+
+        const parents = new Map();
+        for (const frame of results) {
+            if (frame.frameId === 0) topScroll = frame.result;
+            for (const child of frame.result ? frame.result.frames : []) {
+                parents.set(child.frameId, { ...child, parentFrameId: frame.frameId });
+            }
+        }
+
+        for (let id = frameId; id !== 0;) {
+            const parent = parents.get(id);
+            if (!parent) {
+                throw new Error('The frame holding the right-clicked element could not be located');
+            }
+            element.x += parent.x;
+            element.y += parent.y;
+            id = parent.parentFrameId;
+        }
+    }
+
+    return {
+        x: element.x + topScroll.scrollX,
+        y: element.y + topScroll.scrollY,
+        width: element.width,
+        height: element.height
+    };
+}
+
+/**
+ * Where the content of each frame in this document starts, in viewport
+ * coordinates, by frame ID (injected into every frame)
+ * @returns {object} - {scrollX, scrollY, frames: [{frameId, x, y}]}
+ */
+function getChildFrameOffsets() {
+    const frames = [];
+
+    for (const el of document.querySelectorAll('iframe, frame')) {
+        let frameId;
+        try {
+            frameId = browser.runtime.getFrameId(el);
+        } catch (error) {
+            continue;
+        }
+        if (frameId < 0) continue;
+
+        const rect = el.getBoundingClientRect();
+        const style = getComputedStyle(el);
+        frames.push({
+            frameId,
+            x: rect.left + el.clientLeft + parseFloat(style.paddingLeft),
+            y: rect.top + el.clientTop + parseFloat(style.paddingTop)
+        });
+    }
+
+    return { scrollX: window.scrollX, scrollY: window.scrollY, frames };
+}
+
+/**
+ * Handle scroll container selection from the picker script
+ * @param {object} tab - The tab the picker ran in, where the container is marked
+ */
+async function handleContainerSelected(tab) {
+    try {
+        const source = await describeSource(tab, 'container');
+        const parts = await captureScrollContainer(tab);
+
+        // Open editor with the container image
+        await openEditorParts(parts, source);
+    } catch (error) {
+        console.error('Arint Screenshot: Container capture failed', error);
+        throw error;
+    }
+}
+
+/**
+ * Mark the largest visible scrollable element on the page with
+ * data-arint-scroll-target (injected into page)
+ * @returns {boolean} - Whether a scrollable element was found
+ */
+function markScrollContainer() {
+    let best = null;
+    let bestArea = 0;
+
+    for (const el of document.querySelectorAll('body *')) {
+        if (el.scrollHeight <= el.clientHeight + 1 && el.scrollWidth <= el.clientWidth + 1) continue;
+
+        const style = getComputedStyle(el);
+        if (!/(auto|scroll|overlay)/.test(style.overflowX + ' ' + style.overflowY)) continue;
+
+        // Compare by the area actually on screen
+        const rect = el.getBoundingClientRect();
+        const width = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+        const height = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+        const area = Math.max(0, width) * Math.max(0, height);
+
+        if (area > bestArea) {
+            best = el;
+            bestArea = area;
+        }
+    }
+
+    document.querySelectorAll('[data-arint-scroll-target]').forEach(el => {
+        el.removeAttribute('data-arint-scroll-target');
+    });
+    if (best) {
+        best.setAttribute('data-arint-scroll-target', '');
+    }
+    return Boolean(best);
+}
+
+/**
+ * Capture the full content of the element marked with data-arint-scroll-target
+ * by scrolling the element itself and stitching only its visible rectangle
+ * @param {object} tab - The tab to capture
+ * @returns {Array<string>} - Container image data URLs (see stitchImages)
+ */
+async function captureScrollContainer(tab) {
+    const dimensions = await measurePage(tab);
+    const settings = await getSettings();
+
+    const [result] = await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => {
+            const el = document.querySelector('[data-arint-scroll-target]');
+            if (!el) return null;
+
+            // Client area: inside the borders, without scrollbars, clipped to the viewport
+            const rect = el.getBoundingClientRect();
+            const left = rect.left + el.clientLeft;
+            const top = rect.top + el.clientTop;
+            const clipX = Math.max(0, left);
+            const clipY = Math.max(0, top);
+
+            window.__arintOriginalContainerScroll = { x: el.scrollLeft, y: el.scrollTop };
+
+            return {
+                clip: {
+                    x: clipX,
+                    y: clipY,
+                    width: Math.min(left + el.clientWidth, document.documentElement.clientWidth) - clipX,
+                    height: Math.min(top + el.clientHeight, document.documentElement.clientHeight) - clipY
+                },
+                maxScrollX: el.scrollWidth - el.clientWidth,
+                maxScrollY: el.scrollHeight - el.clientHeight
+            };
+        }
+    });
+    const container = result.result;
+
+    if (!container || container.clip.width <= 0 || container.clip.height <= 0) {
+        throw new Error('No visible scrolling area found');
+    }
+
+    // At the largest scroll offset the clip shows the last stretch of content
+    const totalWidth = container.maxScrollX + container.clip.width;
+    const totalHeight = container.maxScrollY + container.clip.height;
+
+    const captures = [];
+
+    try {
+        // Sticky rows inside the container would otherwise repeat too
+        await prepareFixedElements(tab);
+
+        for (let y = 0; y < totalHeight; y += container.clip.height) {
+            for (let x = 0; x < totalWidth; x += container.clip.width) {
+                const [scrollResult] = await browser.scripting.executeScript({
+                    target: { tabId: tab.id },
+                    func: (scrollX, scrollY) => {
+                        const el = document.querySelector('[data-arint-scroll-target]');
+                        el.scrollTo({ left: scrollX, top: scrollY, behavior: 'instant' });
+                        return { x: el.scrollLeft, y: el.scrollTop };
+                    },
+                    args: [x, y]
+                });
+                const position = scrollResult.result;
+
+                // Wait for scroll and content to settle
+                await settleAfterScroll(tab, settings);
+
+                const imageData = await captureTab(tab.windowId);
+
+                captures.push({
+                    imageData,
+                    offsetX: position.x,
+                    offsetY: position.y,
+                    clip: container.clip
+                });
+            }
+        }
+    } finally {
+        await restoreFixedElements(tab);
+        await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => {
+                const el = document.querySelector('[data-arint-scroll-target]');
+                const original = window.__arintOriginalContainerScroll || { x: 0, y: 0 };
+                if (el) {
+                    el.scrollTo({ left: original.x, top: original.y, behavior: 'instant' });
+                    el.removeAttribute('data-arint-scroll-target');
+                }
+                delete window.__arintOriginalContainerScroll;
+            }
+        });
+    }
+
+    return stitchImages(captures, {
+        width: totalWidth,
+        height: totalHeight
+    }, dimensions);
+}
+
+/**
+ * Capture a region given in document coordinates, scrolling and stitching
+ * when it does not fit in the viewport
+ * @param {object} tab - The tab to capture
+ * @param {object} region - {x, y, width, height} in CSS pixels
+ * @param {object} [options]
+ * @param {boolean} [options.detect] - Scan each segment for sensitive text as it is captured
+ * @returns {{parts: Array<string>, sensitiveText: object|null}} - Region image
+ *   data URLs (see stitchImages) and the text found (see placeCapturedText)
+ */
+async function captureDocumentRegion(tab, region, { detect = false } = {}) {
+    const dimensions = await measurePage(tab);
+    const settings = await getSettings();
+
+    // Clamp the region to the document
+    const left = Math.max(0, region.x);
+    const top = Math.max(0, region.y);
+    const right = Math.min(region.x + region.width, dimensions.scrollWidth);
+    const bottom = Math.min(region.y + region.height, dimensions.scrollHeight);
+
+    // Scrollbars are not page content, so step by the client area
+    const stepX = dimensions.clientWidth;
+    const stepY = dimensions.clientHeight;
+
+    // A region within one row of the screen keeps headers and animations as they are
+    const stitching = bottom - top > stepY;
+
+    await saveScrollPosition(tab);
+
+    const captures = [];
+
+    try {
+        if (stitching) {
+            if (settings.freezeAnimations) {
+                await browser.scripting.executeScript({
+                    target: { tabId: tab.id },
+                    func: freezeAnimations
+                });
+            }
+
+            // Find fixed/sticky elements so they are not repeated in every strip
+            await prepareFixedElements(tab);
+        }
+
+        for (let y = top; y < bottom; y += stepY) {
+            if (stitching) {
+                // Headers only in the first row, footers only in the last
+                await setFixedElementsVisibility(tab, y === top, y + stepY >= bottom);
+            }
+
+            for (let x = left; x < right; x += stepX) {
+                // The browser clamps the scroll near the page edges, so use where it ended up
+                const position = await scrollTabTo(tab, x, y);
+
+                // Wait for scroll and content to settle
+                await settleAfterScroll(tab, settings);
+
+                const imageData = await captureTab(tab.windowId);
+
+                captures.push({
+                    imageData,
+                    offsetX: position.x - left,
+                    offsetY: position.y - top,
+                    scan: detect ? await scanSensitiveText(tab) : null
+                });
+            }
+        }
+    } finally {
+        // Put fixed elements, animations and the scroll position back
+        if (stitching) {
+            await restoreFixedElements(tab);
+            if (settings.freezeAnimations) {
+                await browser.scripting.executeScript({
+                    target: { tabId: tab.id },
+                    func: unfreezeAnimations
+                });
+            }
+        }
+        await restoreScrollPosition(tab);
+    }
+
+    const size = { width: right - left, height: bottom - top };
+
+    return {
+        parts: await stitchImages(captures, size, dimensions),
+        sensitiveText: detect ? placeCapturedText(captures, size, dimensions) : null
+    };
+}
+
+/**
+ * Remember the page scroll position so it can be restored after capture
+ * @param {object} tab - The tab being captured
+ */
+async function saveScrollPosition(tab) {
+    await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => {
+            window.__arintOriginalScroll = { x: window.scrollX, y: window.scrollY };
+        }
+    });
+}
+
+/**
+ * Restore the scroll position saved by saveScrollPosition
+ * @param {object} tab - The tab being captured
+ */
+async function restoreScrollPosition(tab) {
+    await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => {
+            const original = window.__arintOriginalScroll || { x: 0, y: 0 };
+            window.scrollTo(original.x, original.y);
+            delete window.__arintOriginalScroll;
+        }
+    });
+}
+
+/**
+ * Scroll the page and report where it actually ended up
+ * @param {object} tab - The tab to scroll
+ * @param {number} x - Target horizontal scroll position
+ * @param {number} y - Target vertical scroll position
+ * @returns {{x: number, y: number, scrollHeight: number}} - Actual scroll position and current page height
+ */
+async function scrollTabTo(tab, x, y) {
+    const [result] = await browser.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (scrollX, scrollY) => {
+            // Instant, so pages with smooth scrolling report the final position
+            window.scrollTo({ left: scrollX, top: scrollY, behavior: 'instant' });
+            return {
+                x: window.scrollX,
+                y: window.scrollY,
+                scrollHeight: document.documentElement.scrollHeight
+            };
+        },
+        args: [x, y]
+    });
+    return result.result;
+}
+
+/**
+ * Crop image to specified bounds
+ * @param {string} imageData - Image data URL
+ * @param {object} selection - {x, y, width, height}
+ * @returns {string} - Cropped image data URL
+ */
+async function cropImage(imageData, selection) {
+    const img = await loadImageBitmap(imageData);
 
     // Account for device pixel ratio
     const dpr = selection.devicePixelRatio || 1;
@@ -349,26 +2415,538 @@ async function cropImage(imageData, selection) {
         selection.height * dpr
     );
 
-    const blob = await canvas.convertToBlob({ type: 'image/png' });
-    return new Promise((resolve) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.readAsDataURL(blob);
-    });
+    return canvasToDataUrl(canvas);
 }
 
 /**
  * Open editor page with captured image
  * @param {string} imageData - Image data URL
+ * @param {object} [details] - Extra info for the editor, e.g. {part, parts}, the
+ *   capture's source from describeSource to record it in the history, the
+ *   historyId of an entry it was already recorded as, and sensitive text
+ *   found on the page (see locateDetections)
+ */
+async function openEditor(imageData, { source, metadata = source, detections, historyId = null, ...details } = {}) {
+    if (source) {
+        historyId = await addToHistory(imageData, source, details);
+    }
+
+    // Store the image under its own ID so each editor tab loads its own capture;
+    // detections are only for the editor and never go into the history. The
+    // history ID lets the editor redact the history's copy as well.
+    const id = crypto.randomUUID();
+    await ArintDB.putCapture({ id, imageData, ...details, metadata, detections, historyId, createdAt: Date.now() });
+
+    // Open editor in new tab; only the first part of a split capture takes focus
+    const tab = await browser.tabs.create({
+        url: `${CONFIG.EDITOR_URL}?capture=${encodeURIComponent(id)}`,
+        active: !details.part || details.part === 1
+    });
+
+    await ArintDB.assignCaptureTab(id, tab.id);
+}
+
+/**
+ * Remove stored captures left behind by editor tabs that went away while
+ * the background script was not running, and expire old history entries
+ */
+async function cleanupCaptures() {
+    try {
+        const removed = await ArintDB.deleteCapturesBefore(Date.now() - CONFIG.CAPTURE_MAX_AGE);
+        if (removed > 0) {
+            console.log(`Arint Screenshot: Removed ${removed} stale captures`);
+        }
+        await trimHistory(await getSettings());
+    } catch (error) {
+        console.error('Arint Screenshot: Capture cleanup failed', error);
+    }
+}
+
+/**
+ * Open one editor per stitched part, telling each which part it holds
+ * @param {Array<string>} parts - Image data URLs from stitchImages
+ * @param {object} [source] - Capture source from describeSource
+ * @param {object} [sensitiveText] - Text found while stitching, from placeCapturedText
+ */
+async function openEditorParts(parts, source, sensitiveText = null) {
+    if (parts.length > 1) {
+        console.log(`Arint Screenshot: Capture split into ${parts.length} parts`);
+    }
+
+    const partRects = sensitiveText
+        ? getPartRects(sensitiveText.size, sensitiveText.devicePixelRatio)
+        : [];
+
+    for (let i = 0; i < parts.length; i++) {
+        const details = parts.length > 1 ? { part: i + 1, parts: parts.length } : {};
+        const detections = partRects[i]
+            ? toImagePixels(sensitiveText.matches, partRects[i], sensitiveText.devicePixelRatio)
+            : undefined;
+        await openEditor(parts[i], { ...details, source, detections });
+    }
+}
+
+/**
+ * Look for sensitive text on the page (see arint-detect.js), unless turned
+ * off in the settings. Failures are logged only and never stop a capture.
+ * @param {object} tab - The captured tab
+ * @returns {object|null} - Scan result, or null when skipped or failed
+ */
+async function scanSensitiveText(tab) {
+    try {
+        const settings = await getSettings();
+        if (!settings.detectSensitiveText) return null;
+
+        // Patterns saved before they were checked may still be unsafe to run
+        const patterns = splitLines(settings.sensitivePatterns)
+            .map(parseSensitivePattern)
+            .filter(pattern => {
+                if (pattern.error) console.warn('Arint Screenshot: Skipping pattern', pattern.error);
+                return !pattern.error;
+            });
+
+        // Hand the user's patterns to the detection script
+        await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: (sources) => {
+                window.__arintDetectPatterns = sources;
+            },
+            args: [patterns]
+        });
+
+        const [result] = await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            files: ['src/arint-detect.js']
+        });
+        return result.result || null;
+    } catch (error) {
+        console.error('Arint Screenshot: Sensitive text detection failed', error);
+        return null;
+    }
+}
+
+/**
+ * @param {string} text
+ * @returns {Array<string>} - Trimmed non-empty lines
+ */
+function splitLines(text) {
+    return String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Check a user detection pattern before it runs in pages. Besides compiling,
+ * it must not repeat a group that repeats or has alternatives inside, like
+ * (a+)+, (\w+\s?)* or (a|aa)+: those can take exponential time on text that
+ * almost matches. Each further open-ended repeat raises the time polynomially,
+ * so only a few are allowed.
+ * @param {string} line - Regular expression, plain or written as /pattern/flags
+ * @returns {{source: string, flags: string}|{error: string}}
+ */
+function parseSensitivePattern(line) {
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(line);
+    const source = literal ? literal[1] : line;
+    const flags = literal ? literal[2].replace('g', '') : '';
+
+    try {
+        new RegExp(source, flags);
+    } catch (error) {
+        return { error: error.message };
+    }
+
+    if (hasAmbiguousRepeat(source)) {
+        return { error: 'Repeats a group that contains a repeat or alternatives (|), which can freeze the page' };
+    }
+
+    // Escapes and character classes cannot hold a repeat
+    const repeats = source.replace(/\\./g, '').replace(/\[[^\]]*\]/g, '').match(/[*+]|\{\d+,\}/g) || [];
+    if (repeats.length > CONFIG.MAX_PATTERN_REPEATS) {
+        return { error: `Has more than ${CONFIG.MAX_PATTERN_REPEATS} open-ended repeats (*, + or {n,}), which can freeze the page` };
+    }
+    return { source, flags };
+}
+
+/**
+ * Look for a group with an unbounded repeat or an alternation inside that is
+ * itself repeated more than a fixed number of times
+ * @param {string} source - Regular expression source
+ * @returns {boolean}
+ */
+function hasAmbiguousRepeat(source) {
+    const repeat = /^(?:[*+]|\{\d+,\d*\})/;
+    // Whether each open group (and the whole pattern) contains a repeat or a |
+    const groups = [false];
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (char === '\\') {
+            i++;
+        } else if (inClass) {
+            inClass = char !== ']';
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')' && groups.length > 1) {
+            const ambiguousInside = groups.pop();
+            const repeated = repeat.test(source.slice(i + 1));
+            if (ambiguousInside && repeated) return true;
+            if (ambiguousInside || repeated) groups[groups.length - 1] = true;
+        } else if (char === '|' || repeat.test(source.slice(i))) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Place the text found on a single viewport capture
+ * @param {object|null} scan - From scanSensitiveText, made with the capture
+ * @param {object} [clip] - Part of the viewport kept in the image {x, y, width,
+ *   height} in CSS pixels, defaults to the whole viewport
+ * @returns {Array<object>|undefined} - [{kind, preview, rects}] in image pixels,
+ *   undefined without a scan
+ */
+function locateDetections(scan, clip) {
+    if (!scan) return undefined;
+
+    const area = clip || { x: 0, y: 0, width: scan.viewportWidth, height: scan.viewportHeight };
+    return toImagePixels(
+        placeScanMatches(scan, area, { x: 0, y: 0 }),
+        { x: 0, y: 0, width: area.width, height: area.height },
+        scan.devicePixelRatio
+    );
+}
+
+/**
+ * Place the text found on each capture on the stitched image. Captures drawn
+ * later cover earlier ones, so text is taken from the capture that ends up
+ * showing it, and text cut by a segment edge is joined back into one match.
+ * @param {Array} captures - As for stitchImages, each with the scan made with it
+ * @param {object} size - {width, height} of the stitched image in CSS pixels
+ * @param {object} dimensions - Page dimensions
+ * @returns {object} - {size, devicePixelRatio, matches: [{kind, preview, rects}]},
+ *   rects in CSS pixels of the stitched image
+ */
+function placeCapturedText(captures, size, dimensions) {
+    const clientArea = { x: 0, y: 0, width: dimensions.clientWidth, height: dimensions.clientHeight };
+    const drawn = captures.map(capture => ({
+        x: capture.offsetX,
+        y: capture.offsetY,
+        width: (capture.clip || clientArea).width,
+        height: (capture.clip || clientArea).height
+    }));
+    const matches = [];
+
+    captures.forEach((capture, i) => {
+        const offset = { x: capture.offsetX, y: capture.offsetY };
+
+        placeScanMatches(capture.scan, capture.clip || clientArea, offset).forEach(match => {
+            // Drawn over by a later capture, which has its own scan of that spot
+            const rects = match.rects.filter(rect => !drawn.slice(i + 1).some(area =>
+                rect.x >= area.x && rect.y >= area.y &&
+                rect.x + rect.width <= area.x + area.width &&
+                rect.y + rect.height <= area.y + area.height
+            ));
+            if (rects.length === 0) return;
+
+            // Found by the previous segment too if the text crosses its edge
+            const continued = matches.find(other =>
+                other.kind === match.kind && other.preview === match.preview &&
+                other.rects.some(a => rects.some(b =>
+                    a.x <= b.x + b.width && b.x <= a.x + a.width &&
+                    a.y <= b.y + b.height && b.y <= a.y + a.height
+                ))
+            );
+            if (continued) {
+                continued.rects.push(...rects);
+            } else {
+                matches.push({ ...match, rects });
+            }
+        });
+    });
+
+    return { size, devicePixelRatio: dimensions.devicePixelRatio, matches };
+}
+
+/**
+ * Move scanned text from the page to where its capture is drawn: keep what
+ * lies within the part of the viewport drawn and shift it by the offset
+ * @param {object|null} scan - From scanSensitiveText, made with the capture
+ * @param {object} clip - Part of the viewport drawn {x, y, width, height}
+ * @param {object} offset - Where the clip's corner is drawn {x, y}
+ * @returns {Array<object>} - [{kind, preview, rects}] in image CSS pixels
+ */
+function placeScanMatches(scan, clip, offset) {
+    if (!scan) return [];
+
+    return scan.matches.map(match => {
+        const rects = match.rects
+            .map(rect => {
+                // Document to viewport coordinates as they were at the scan
+                const left = Math.max(rect.x - scan.scrollX, clip.x);
+                const top = Math.max(rect.y - scan.scrollY, clip.y);
+                const right = Math.min(rect.x + rect.width - scan.scrollX, clip.x + clip.width);
+                const bottom = Math.min(rect.y + rect.height - scan.scrollY, clip.y + clip.height);
+                if (right <= left || bottom <= top) return null;
+
+                return {
+                    x: left - clip.x + offset.x,
+                    y: top - clip.y + offset.y,
+                    width: right - left,
+                    height: bottom - top
+                };
+            })
+            .filter(Boolean);
+
+        return { kind: match.kind, preview: match.preview, rects };
+    }).filter(match => match.rects.length > 0);
+}
+
+/**
+ * Keep the matches within one part of an image and convert them to its pixels
+ * @param {Array<object>} matches - [{kind, preview, rects}] in image CSS pixels
+ * @param {object} part - {x, y, width, height} of the part in CSS pixels
+ * @param {number} dpr - Device pixel ratio
+ * @returns {Array<object>} - [{kind, preview, rects}] in pixels of the part
+ */
+function toImagePixels(matches, part, dpr) {
+    return matches.map(match => {
+        const rects = match.rects
+            .map(rect => {
+                const left = Math.max(rect.x, part.x);
+                const top = Math.max(rect.y, part.y);
+                const right = Math.min(rect.x + rect.width, part.x + part.width);
+                const bottom = Math.min(rect.y + rect.height, part.y + part.height);
+                if (right <= left || bottom <= top) return null;
+
+                // Round outward so the whole glyph area is covered
+                const imageX = Math.floor((left - part.x) * dpr);
+                const imageY = Math.floor((top - part.y) * dpr);
+                return {
+                    x: imageX,
+                    y: imageY,
+                    width: Math.ceil((right - part.x) * dpr) - imageX,
+                    height: Math.ceil((bottom - part.y) * dpr) - imageY
+                };
+            })
+            .filter(Boolean);
+
+        return { kind: match.kind, preview: match.preview, rects };
+    }).filter(match => match.rects.length > 0);
+}
+
+/**
+ * Describe where and when a capture was made, for the history and the
+ * metadata embedded in exported images. Call it as the capture starts, so
+ * the time and viewport are those of the page being captured.
+ * @param {object} tab - The captured tab
+ * @param {string} mode - Capture mode, e.g. 'visible' or 'fullpage'
+ * @returns {object} - {url, title, mode, capturedAt, viewportWidth, viewportHeight, devicePixelRatio}
+ */
+async function describeSource(tab, mode) {
+    const source = { url: tab.url || '', title: tab.title || '', mode, capturedAt: Date.now() };
+
+    try {
+        const [result] = await browser.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => ({
+                viewportWidth: window.innerWidth,
+                viewportHeight: window.innerHeight,
+                devicePixelRatio: window.devicePixelRatio || 1
+            })
+        });
+        Object.assign(source, result.result);
+    } catch (error) {
+        // Pages the extension may not script still get URL, title and time
+        console.log('Arint Screenshot: Could not read viewport for metadata', error);
+    }
+
+    return source;
+}
+
+/**
+ * Save a capture to the local history with a thumbnail, then trim the
+ * history to the retention limits. Failures are logged only, so a full
+ * disk never stops the editor from opening.
+ * @param {string} imageData - Image data URL
+ * @param {object} source - From describeSource
+ * @param {object} details - {part, parts} for split captures
+ * @returns {string|null} - ID of the history entry, null if none was saved
  */
-async function openEditor(imageData) {
-    // Store image data for editor to retrieve
-    pendingCapture = imageData;
+async function addToHistory(imageData, source, details) {
+    try {
+        const settings = await getSettings();
+        if (!settings.saveHistory) return null;
+
+        const entry = {
+            id: crypto.randomUUID(),
+            createdAt: Date.now(),
+            ...source,
+            ...details,
+            ...await describeHistoryImage(imageData)
+        };
+
+        await ArintDB.addHistoryEntry(entry, imageData);
+        await trimHistory(settings);
+        return entry.id;
+    } catch (error) {
+        console.error('Arint Screenshot: Failed to save capture to history', error);
+        return null;
+    }
+}
+
+/**
+ * Replace the image of a history entry, e.g. after it was redacted in the
+ * editor, so the history never keeps what was hidden there
+ * @param {string} id - History entry ID
+ * @param {string} imageData - New image data URL
+ * @returns {boolean} - Whether the entry was still there to update
+ */
+async function updateHistoryImage(id, imageData) {
+    const entry = await ArintDB.getHistoryEntry(id);
+    if (!entry) return false;
+
+    await ArintDB.addHistoryEntry({ ...entry, ...await describeHistoryImage(imageData) }, imageData);
+    return true;
+}
+
+/**
+ * Size and thumbnail of an image for its history entry
+ * @param {string} imageData - Image data URL
+ * @returns {object} - {width, height, size, thumbnail}
+ */
+async function describeHistoryImage(imageData) {
+    const img = await loadImageBitmap(imageData);
+    const scale = Math.min(1, CONFIG.THUMBNAIL_WIDTH / img.width);
+    const thumbnailHeight = Math.min(Math.round(img.height * scale), CONFIG.THUMBNAIL_HEIGHT);
+    const canvas = new OffscreenCanvas(Math.max(1, Math.round(img.width * scale)), Math.max(1, thumbnailHeight));
+    canvas.getContext('2d').drawImage(img, 0, 0, img.width, thumbnailHeight / scale, 0, 0, canvas.width, canvas.height);
+
+    const description = {
+        width: img.width,
+        height: img.height,
+        size: imageData.length,
+        thumbnail: await canvasToDataUrl(canvas, 'image/jpeg')
+    };
+    img.close();
+    return description;
+}
+
+/**
+ * Drop the oldest history entries beyond the retention limits
+ * @param {object} settings - Current settings
+ */
+async function trimHistory(settings) {
+    const removed = await ArintDB.pruneHistory({
+        maxItems: settings.historyMaxItems,
+        maxBytes: settings.historyMaxSizeMB * 1024 * 1024,
+        maxAge: settings.historyMaxAgeDays * 24 * 60 * 60 * 1000
+    });
+    if (removed > 0) {
+        console.log(`Arint Screenshot: Removed ${removed} old history entries`);
+    }
+}
+
+/**
+ * Open a capture stored for another page (e.g. a batch result) in its own editor
+ * @param {string} id - Capture ID
+ */
+async function openStoredCapture(id) {
+    const capture = await ArintDB.getCapture(id);
+    if (!capture) {
+        throw new Error('Capture is no longer available');
+    }
+    const details = capture.parts > 1 ? { part: capture.part, parts: capture.parts } : {};
+    await openEditor(capture.imageData, { ...details, metadata: capture.metadata, historyId: capture.historyId });
+}
+
+/**
+ * Reopen a capture from the history in a new editor
+ * @param {string} id - History entry ID
+ */
+async function openHistoryEntry(id) {
+    const [entry, imageData] = await Promise.all([ArintDB.getHistoryEntry(id), ArintDB.getHistoryImage(id)]);
+    if (!entry || !imageData) {
+        throw new Error('Capture is no longer in the history');
+    }
+
+    const { url, title, mode, capturedAt = entry.createdAt, viewportWidth, viewportHeight, devicePixelRatio } = entry;
+    await openEditor(imageData, {
+        metadata: { url, title, mode, capturedAt, viewportWidth, viewportHeight, devicePixelRatio },
+        historyId: id
+    });
+}
+
+/**
+ * Read user settings, filling in defaults for anything not saved yet
+ * @returns {object} - Settings
+ */
+async function getSettings() {
+    const { settings } = await browser.storage.local.get('settings');
+    return { ...DEFAULT_SETTINGS, ...settings };
+}
+
+/**
+ * Save changed settings
+ * @param {object} changes - Settings to update
+ * @returns {object} - All settings after the update
+ */
+async function saveSettings(changes) {
+    const settings = { ...(await getSettings()), ...normalizeSettings(changes) };
+    await browser.storage.local.set({ settings });
+
+    // Lowered retention limits apply right away, not only at the next capture
+    if (['historyMaxItems', 'historyMaxSizeMB', 'historyMaxAgeDays'].some(key => key in changes)) {
+        await trimHistory(settings).catch(error => {
+            console.error('Arint Screenshot: Failed to apply history limits', error);
+        });
+    }
+    return settings;
+}
+
+/**
+ * Check changed numeric settings: an empty or invalid number falls back to
+ * the default instead of 0, which means unlimited for the history limits,
+ * and negative numbers become 0
+ * @param {object} changes - Settings to change
+ * @returns {object}
+ */
+function normalizeSettings(changes) {
+    const normalized = { ...changes };
+
+    for (const [key, value] of Object.entries(changes)) {
+        if (typeof DEFAULT_SETTINGS[key] !== 'number') continue;
+
+        normalized[key] = typeof value === 'number' && Number.isFinite(value)
+            ? Math.max(0, value)
+            : DEFAULT_SETTINGS[key];
+    }
+    return normalized;
+}
+
+/**
+ * Utility: Decode an image data URL into a bitmap
+ * @param {string} dataUrl - Image data URL
+ * @returns {ImageBitmap}
+ */
+async function loadImageBitmap(dataUrl) {
+    return createImageBitmap(await (await fetch(dataUrl)).blob());
+}
 
-    // Open editor in new tab
-    await browser.tabs.create({
-        url: CONFIG.EDITOR_URL,
-        active: true
+/**
+ * Utility: Encode a canvas as a data URL
+ * @param {OffscreenCanvas} canvas
+ * @param {string} [type] - Image MIME type, PNG unless given
+ * @returns {string} - Image data URL
+ */
+async function canvasToDataUrl(canvas, type = 'image/png') {
+    const blob = await canvas.convertToBlob({ type, quality: 0.8 });
+    return new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsDataURL(blob);
     });
 }
 
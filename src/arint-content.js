@@ -12,18 +12,64 @@
     }
     window.__arintSelectionActive = true;
 
-    // Selection state
+    // Auto-scroll when the pointer is this close to a viewport edge (px)
+    const EDGE_SIZE = 40;
+    const MAX_SCROLL_SPEED = 30;
+
+    // Snap to element edges within this distance of the pointer (px)
+    const SNAP_DISTANCE = 8;
+
+    // Loupe size (CSS px) and how many device pixels it shows across
+    const LOUPE_SIZE = 120;
+    const LOUPE_PIXELS = 15;
+
+    // Size presets: free drag, fixed aspect ratios, and fixed sizes
+    const PRESETS = [
+        { id: 'free', label: 'Free' },
+        { id: '16:9', label: '16:9', ratio: 16 / 9 },
+        { id: '4:3', label: '4:3', ratio: 4 / 3 },
+        { id: '1:1', label: '1:1', ratio: 1 },
+        { id: '1200x630', label: '1200 × 630', width: 1200, height: 630 },
+        { id: '1920x1080', label: '1920 × 1080', width: 1920, height: 1080 },
+        { id: '1080x1080', label: '1080 × 1080', width: 1080, height: 1080 }
+    ];
+
+    // Overlay elements
     let overlay = null;
     let selectionBox = null;
     let infoBox = null;
-    let isSelecting = false;
-    let startX = 0;
-    let startY = 0;
+    let toolbar = null;
+    let presetSelect = null;
+    let snapCheckbox = null;
+    let loupe = null;
+    let loupeCtx = null;
+
+    // Selection state. The selection is kept in document coordinates so it
+    // survives scrolling. dragAction is 'draw', 'move' or 'resize' while the
+    // mouse button is down.
+    let selection = null;
+    let dragAction = null;
+    let dragHandle = null;
+    let dragStart = null;
+    let moveOffset = null;
+    let preset = PRESETS[0];
+    let autoScrollFrame = null;
+
+    // Last known pointer position in viewport coordinates
+    let pointerX = 0;
+    let pointerY = 0;
+    let altKey = false;
+
+    // Screenshot of the viewport used by the loupe
+    let snapshot = null;
+    let snapshotTimer = null;
 
     /**
      * Initialize selection mode
      */
-    function init() {
+    async function init() {
+        // Take the loupe snapshot before anything of ours is on screen
+        await refreshSnapshot();
         createOverlay();
         addEventListeners();
     }
@@ -37,10 +83,16 @@
         overlay.className = 'arint-selection-overlay';
         document.body.appendChild(overlay);
 
-        // Selection box (hidden initially)
+        // Selection box with resize handles (hidden initially)
         selectionBox = document.createElement('div');
         selectionBox.className = 'arint-selection-box';
         selectionBox.style.display = 'none';
+        for (const handle of ['n', 'ne', 'e', 'se', 's', 'sw', 'w', 'nw']) {
+            const el = document.createElement('div');
+            el.className = 'arint-selection-handle';
+            el.dataset.handle = handle;
+            selectionBox.appendChild(el);
+        }
         document.body.appendChild(selectionBox);
 
         // Info box showing dimensions
@@ -48,131 +100,558 @@
         infoBox.className = 'arint-selection-info';
         infoBox.style.display = 'none';
         document.body.appendChild(infoBox);
+
+        // Pixel magnifier
+        loupe = document.createElement('canvas');
+        loupe.className = 'arint-selection-loupe';
+        loupe.width = LOUPE_SIZE;
+        loupe.height = LOUPE_SIZE;
+        loupe.style.display = 'none';
+        loupeCtx = loupe.getContext('2d');
+        document.body.appendChild(loupe);
+
+        createToolbar();
+    }
+
+    /**
+     * Create the toolbar with presets, snapping and confirm/cancel buttons
+     */
+    function createToolbar() {
+        toolbar = document.createElement('div');
+        toolbar.className = 'arint-selection-toolbar';
+
+        presetSelect = document.createElement('select');
+        for (const item of PRESETS) {
+            const option = document.createElement('option');
+            option.value = item.id;
+            option.textContent = item.label;
+            presetSelect.appendChild(option);
+        }
+        toolbar.appendChild(presetSelect);
+
+        const snapLabel = document.createElement('label');
+        snapCheckbox = document.createElement('input');
+        snapCheckbox.type = 'checkbox';
+        snapCheckbox.checked = true;
+        snapLabel.append(snapCheckbox, 'Snap');
+        toolbar.appendChild(snapLabel);
+
+        const hint = document.createElement('span');
+        hint.className = 'arint-selection-hint';
+        hint.textContent = 'Arrows nudge (Shift ×10, Alt resizes)  •  Alt while dragging skips snapping';
+        toolbar.appendChild(hint);
+
+        const confirmButton = document.createElement('button');
+        confirmButton.dataset.action = 'confirm';
+        confirmButton.textContent = 'Capture ⏎';
+        toolbar.appendChild(confirmButton);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.dataset.action = 'cancel';
+        cancelButton.textContent = 'Cancel';
+        toolbar.appendChild(cancelButton);
+
+        document.body.appendChild(toolbar);
     }
 
     /**
      * Add event listeners for selection
      */
     function addEventListeners() {
-        overlay.addEventListener('mousedown', onMouseDown);
+        overlay.addEventListener('mousedown', onOverlayMouseDown);
+        selectionBox.addEventListener('mousedown', onBoxMouseDown);
+        selectionBox.addEventListener('dblclick', confirmSelection);
+        toolbar.addEventListener('click', onToolbarClick);
+        presetSelect.addEventListener('change', onPresetChange);
         document.addEventListener('mousemove', onMouseMove);
         document.addEventListener('mouseup', onMouseUp);
         document.addEventListener('keydown', onKeyDown);
+        window.addEventListener('scroll', onScroll);
     }
 
     /**
      * Remove event listeners and cleanup
      */
     function cleanup() {
-        overlay.removeEventListener('mousedown', onMouseDown);
+        overlay.removeEventListener('mousedown', onOverlayMouseDown);
         document.removeEventListener('mousemove', onMouseMove);
         document.removeEventListener('mouseup', onMouseUp);
         document.removeEventListener('keydown', onKeyDown);
+        window.removeEventListener('scroll', onScroll);
+        stopAutoScroll();
+        clearTimeout(snapshotTimer);
 
-        if (overlay) overlay.remove();
-        if (selectionBox) selectionBox.remove();
-        if (infoBox) infoBox.remove();
+        for (const el of getOwnElements()) {
+            el.remove();
+        }
 
         window.__arintSelectionActive = false;
     }
 
     /**
-     * Handle mouse down - start selection
+     * All top-level elements of the selection UI
+     * @returns {Array<Element>}
      */
-    function onMouseDown(e) {
+    function getOwnElements() {
+        return [overlay, selectionBox, infoBox, loupe, toolbar].filter(Boolean);
+    }
+
+    /**
+     * Check whether an element belongs to the selection UI
+     * @param {Element} el
+     * @returns {boolean}
+     */
+    function isOwnElement(el) {
+        return getOwnElements().some(own => own.contains(el));
+    }
+
+    // ============================================
+    // Mouse Handling
+    // ============================================
+
+    /**
+     * Handle mouse down on the overlay - start a new selection, or place a
+     * fixed-size one
+     */
+    function onOverlayMouseDown(e) {
         e.preventDefault();
-        isSelecting = true;
-        startX = e.clientX;
-        startY = e.clientY;
+        setPointer(e);
 
-        selectionBox.style.display = 'block';
-        selectionBox.style.left = startX + 'px';
-        selectionBox.style.top = startY + 'px';
-        selectionBox.style.width = '0';
-        selectionBox.style.height = '0';
+        const point = getPointerPoint(!preset.width);
 
-        infoBox.style.display = 'block';
+        if (preset.width) {
+            // Fixed size: centre the box on the click and keep dragging it
+            selection = {
+                x: Math.round(point.x - preset.width / 2),
+                y: Math.round(point.y - preset.height / 2),
+                width: preset.width,
+                height: preset.height
+            };
+            moveOffset = { x: point.x - selection.x, y: point.y - selection.y };
+            dragAction = 'move';
+        } else {
+            selection = { x: Math.round(point.x), y: Math.round(point.y), width: 0, height: 0 };
+            dragStart = { ...selection };
+            dragHandle = 'se';
+            dragAction = 'draw';
+        }
+
+        render();
+    }
+
+    /**
+     * Handle mouse down on the selection box - move it, or resize from a handle
+     */
+    function onBoxMouseDown(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        setPointer(e);
+
+        const point = getPointerPoint(false);
+
+        if (e.target.dataset.handle) {
+            dragAction = 'resize';
+            dragHandle = e.target.dataset.handle;
+            dragStart = { ...selection };
+        } else {
+            dragAction = 'move';
+            moveOffset = { x: point.x - selection.x, y: point.y - selection.y };
+        }
     }
 
     /**
-     * Handle mouse move - update selection box
+     * Handle mouse move - update the drag and the loupe
      */
     function onMouseMove(e) {
-        if (!isSelecting) return;
+        setPointer(e);
 
-        const currentX = e.clientX;
-        const currentY = e.clientY;
+        if (dragAction) {
+            applyDrag();
+            updateAutoScroll();
+        }
+
+        updateLoupe();
+    }
 
-        const x = Math.min(startX, currentX);
-        const y = Math.min(startY, currentY);
-        const width = Math.abs(currentX - startX);
-        const height = Math.abs(currentY - startY);
+    /**
+     * Handle mouse up - finish the current drag
+     */
+    function onMouseUp(e) {
+        if (!dragAction) return;
 
-        selectionBox.style.left = x + 'px';
-        selectionBox.style.top = y + 'px';
-        selectionBox.style.width = width + 'px';
-        selectionBox.style.height = height + 'px';
+        setPointer(e);
+        applyDrag();
+        stopAutoScroll();
+
+        // A click without a real drag does not make a selection
+        if (dragAction === 'draw' && (selection.width < 10 || selection.height < 10)) {
+            selection = null;
+        }
+
+        dragAction = null;
+        render();
+        updateLoupe();
+        scheduleSnapshotRefresh();
+    }
+
+    /**
+     * Handle page scroll (wheel or auto-scroll)
+     */
+    function onScroll() {
+        if (dragAction) applyDrag();
+        render();
+        updateLoupe();
+        scheduleSnapshotRefresh();
+    }
+
+    /**
+     * Remember the pointer position and modifier state
+     * @param {MouseEvent} e
+     */
+    function setPointer(e) {
+        pointerX = e.clientX;
+        pointerY = e.clientY;
+        altKey = e.altKey;
+    }
+
+    /**
+     * Get the pointer position in document coordinates
+     * @param {boolean} snap - Snap to nearby element edges when enabled
+     * @returns {{x: number, y: number}}
+     */
+    function getPointerPoint(snap) {
+        const point = snap && snapCheckbox.checked && !altKey
+            ? snapPoint(pointerX, pointerY)
+            : { x: pointerX, y: pointerY };
+
+        return { x: point.x + window.scrollX, y: point.y + window.scrollY };
+    }
+
+    /**
+     * Update the selection for the current drag action
+     */
+    function applyDrag() {
+        if (dragAction === 'move') {
+            const point = getPointerPoint(false);
+            selection.x = Math.round(point.x - moveOffset.x);
+            selection.y = Math.round(point.y - moveOffset.y);
+        } else {
+            selection = resizeFromHandle(dragHandle, dragStart, getPointerPoint(true));
+        }
+
+        render();
+    }
+
+    /**
+     * Work out the selection when one edge or corner is dragged to a point,
+     * keeping the opposite side in place and applying the preset's ratio
+     * @param {string} handle - 'n', 'ne', 'e', 'se', 's', 'sw', 'w' or 'nw'
+     * @param {object} start - Selection when the drag began
+     * @param {{x: number, y: number}} point - Pointer in document coordinates
+     * @returns {object} - New selection
+     */
+    function resizeFromHandle(handle, start, point) {
+        const horizontal = handle.includes('e') || handle.includes('w');
+        const vertical = handle.includes('n') || handle.includes('s');
+
+        // The corner that stays put
+        const anchorX = handle.includes('w') ? start.x + start.width : start.x;
+        const anchorY = handle.includes('n') ? start.y + start.height : start.y;
+
+        let dx = horizontal ? point.x - anchorX : start.width;
+        let dy = vertical ? point.y - anchorY : start.height;
+
+        if (preset.ratio) {
+            const signX = dx < 0 ? -1 : 1;
+            const signY = dy < 0 ? -1 : 1;
+
+            if (!vertical) {
+                dy = Math.abs(dx) / preset.ratio;
+            } else if (!horizontal) {
+                dx = Math.abs(dy) * preset.ratio;
+            } else if (Math.abs(dx) > Math.abs(dy) * preset.ratio) {
+                dx = signX * Math.abs(dy) * preset.ratio;
+            } else {
+                dy = signY * Math.abs(dx) / preset.ratio;
+            }
+        }
+
+        return {
+            x: Math.round(dx < 0 ? anchorX + dx : anchorX),
+            y: Math.round(dy < 0 ? anchorY + dy : anchorY),
+            width: Math.round(Math.abs(dx)),
+            height: Math.round(Math.abs(dy))
+        };
+    }
+
+    /**
+     * Snap a viewport point to the nearest edges of the page elements around it
+     * @param {number} x - Viewport x
+     * @param {number} y - Viewport y
+     * @returns {{x: number, y: number}} - Snapped viewport point
+     */
+    function snapPoint(x, y) {
+        // Look a little to each side too, so edges just outside the pointer count
+        const elements = new Set();
+        for (const [px, py] of [[x, y], [x - SNAP_DISTANCE, y], [x + SNAP_DISTANCE, y], [x, y - SNAP_DISTANCE], [x, y + SNAP_DISTANCE]]) {
+            for (const el of document.elementsFromPoint(px, py)) {
+                if (!isOwnElement(el) && el !== document.documentElement && el !== document.body) {
+                    elements.add(el);
+                }
+            }
+        }
+
+        let snappedX = x;
+        let snappedY = y;
+        let bestX = SNAP_DISTANCE + 1;
+        let bestY = SNAP_DISTANCE + 1;
+
+        for (const el of elements) {
+            const rect = el.getBoundingClientRect();
+
+            for (const edge of [rect.left, rect.right]) {
+                if (Math.abs(edge - x) < bestX) {
+                    bestX = Math.abs(edge - x);
+                    snappedX = edge;
+                }
+            }
+            for (const edge of [rect.top, rect.bottom]) {
+                if (Math.abs(edge - y) < bestY) {
+                    bestY = Math.abs(edge - y);
+                    snappedY = edge;
+                }
+            }
+        }
+
+        return { x: snappedX, y: snappedY };
+    }
+
+    // ============================================
+    // Auto-scroll
+    // ============================================
+
+    /**
+     * Scroll speed for the pointer's distance from the viewport edges
+     * @returns {{dx: number, dy: number}}
+     */
+    function getAutoScrollSpeed() {
+        const speed = (distance) => Math.ceil(MAX_SCROLL_SPEED * (EDGE_SIZE - distance) / EDGE_SIZE);
+        const width = document.documentElement.clientWidth;
+        const height = document.documentElement.clientHeight;
 
-        // Update info box
-        infoBox.textContent = `${width} × ${height}`;
-        infoBox.style.left = (x + width + 10) + 'px';
-        infoBox.style.top = y + 'px';
+        let dx = 0;
+        let dy = 0;
+        if (pointerX < EDGE_SIZE) dx = -speed(pointerX);
+        else if (pointerX > width - EDGE_SIZE) dx = speed(width - pointerX);
+        if (pointerY < EDGE_SIZE) dy = -speed(pointerY);
+        else if (pointerY > height - EDGE_SIZE) dy = speed(height - pointerY);
 
-        // Keep info box in viewport
+        return { dx, dy };
+    }
+
+    /**
+     * Start auto-scrolling while the pointer is near an edge
+     */
+    function updateAutoScroll() {
+        if (autoScrollFrame) return;
+
+        const step = () => {
+            const { dx, dy } = getAutoScrollSpeed();
+            if (!dragAction || (dx === 0 && dy === 0)) {
+                autoScrollFrame = null;
+                return;
+            }
+
+            window.scrollBy({ left: dx, top: dy, behavior: 'instant' });
+            applyDrag();
+            autoScrollFrame = requestAnimationFrame(step);
+        };
+
+        step();
+    }
+
+    /**
+     * Stop any running auto-scroll
+     */
+    function stopAutoScroll() {
+        if (autoScrollFrame) {
+            cancelAnimationFrame(autoScrollFrame);
+            autoScrollFrame = null;
+        }
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Draw the selection box and size label for the current scroll position
+     */
+    function render() {
+        if (!selection) {
+            selectionBox.style.display = 'none';
+            infoBox.style.display = 'none';
+            return;
+        }
+
+        // The box is fixed, so convert back to viewport coordinates; parts of it
+        // may be scrolled out of view
+        selectionBox.style.display = 'block';
+        selectionBox.style.left = (selection.x - window.scrollX) + 'px';
+        selectionBox.style.top = (selection.y - window.scrollY) + 'px';
+        selectionBox.style.width = selection.width + 'px';
+        selectionBox.style.height = selection.height + 'px';
+
+        // Handles only once the initial drag is done; fixed sizes can only move
+        selectionBox.classList.toggle('adjusting', dragAction !== 'draw');
+        selectionBox.classList.toggle('fixed-size', Boolean(preset.width));
+
+        // Update info box below the selection, or inside it when there is no room
+        infoBox.style.display = 'block';
+        infoBox.textContent = `${selection.width} × ${selection.height}`;
+
+        const boxRect = selectionBox.getBoundingClientRect();
         const infoRect = infoBox.getBoundingClientRect();
-        if (infoRect.right > window.innerWidth) {
-            infoBox.style.left = (x - infoRect.width - 10) + 'px';
+        let top = boxRect.bottom + 6;
+        if (top + infoRect.height > window.innerHeight) {
+            top = Math.max(boxRect.top, 0) + 6;
         }
-        if (infoRect.bottom > window.innerHeight) {
-            infoBox.style.top = (y - infoRect.height - 10) + 'px';
+        infoBox.style.left = Math.max(0, Math.min(boxRect.left, window.innerWidth - infoRect.width)) + 'px';
+        infoBox.style.top = Math.min(top, window.innerHeight - infoRect.height) + 'px';
+    }
+
+    /**
+     * Draw the magnified pixels around the pointer next to the cursor
+     */
+    function updateLoupe() {
+        // Only while aiming: before the first drag, or while drawing/resizing
+        const aiming = !selection || dragAction === 'draw' || dragAction === 'resize';
+        const overToolbar = toolbar.contains(document.elementFromPoint(pointerX, pointerY));
+
+        if (!snapshot || !aiming || overToolbar) {
+            loupe.style.display = 'none';
+            return;
         }
+
+        const point = getPointerPoint(dragAction !== null);
+        const dpr = snapshot.devicePixelRatio;
+        const cell = LOUPE_SIZE / LOUPE_PIXELS;
+        const half = Math.floor(LOUPE_PIXELS / 2);
+
+        // Pointer position in the snapshot, which may be from an older scroll position
+        const sourceX = Math.floor((point.x - snapshot.scrollX) * dpr) - half;
+        const sourceY = Math.floor((point.y - snapshot.scrollY) * dpr) - half;
+
+        loupeCtx.imageSmoothingEnabled = false;
+        loupeCtx.fillStyle = '#808080';
+        loupeCtx.fillRect(0, 0, LOUPE_SIZE, LOUPE_SIZE);
+        loupeCtx.drawImage(
+            snapshot.image,
+            sourceX, sourceY, LOUPE_PIXELS, LOUPE_PIXELS,
+            0, 0, LOUPE_SIZE, LOUPE_SIZE
+        );
+
+        // Outline the pixel under the pointer
+        loupeCtx.strokeStyle = '#6366f1';
+        loupeCtx.lineWidth = 2;
+        loupeCtx.strokeRect(half * cell, half * cell, cell, cell);
+
+        // Coordinates
+        const label = `${Math.round(point.x)}, ${Math.round(point.y)}`;
+        loupeCtx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+        loupeCtx.fillStyle = 'rgba(15, 15, 20, 0.8)';
+        loupeCtx.fillRect(0, LOUPE_SIZE - 18, LOUPE_SIZE, 18);
+        loupeCtx.fillStyle = '#f0f0f5';
+        loupeCtx.fillText(label, 6, LOUPE_SIZE - 5);
+
+        // Place it below-right of the cursor, flipping near the edges
+        let left = pointerX + 20;
+        let top = pointerY + 20;
+        if (left + LOUPE_SIZE > window.innerWidth) left = pointerX - LOUPE_SIZE - 20;
+        if (top + LOUPE_SIZE > window.innerHeight) top = pointerY - LOUPE_SIZE - 20;
+
+        loupe.style.display = 'block';
+        loupe.style.left = left + 'px';
+        loupe.style.top = top + 'px';
     }
 
     /**
-     * Handle mouse up - complete selection
+     * Capture the viewport for the loupe, with the selection UI hidden
      */
-    function onMouseUp(e) {
-        if (!isSelecting) return;
-        isSelecting = false;
+    async function refreshSnapshot() {
+        const ownElements = getOwnElements();
+        ownElements.forEach(el => el.style.setProperty('visibility', 'hidden', 'important'));
 
-        const currentX = e.clientX;
-        const currentY = e.clientY;
+        try {
+            // Let the page repaint without our UI before capturing
+            await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
 
-        const x = Math.min(startX, currentX);
-        const y = Math.min(startY, currentY);
-        const width = Math.abs(currentX - startX);
-        const height = Math.abs(currentY - startY);
+            const scrollX = window.scrollX;
+            const scrollY = window.scrollY;
+            const response = await browser.runtime.sendMessage({ type: 'CAPTURE_SNAPSHOT' });
 
-        // Minimum selection size
-        if (width < 10 || height < 10) {
-            console.log('Arint Screenshot: Selection too small, cancelled');
-            cleanup();
-            browser.runtime.sendMessage({ type: 'SELECTION_CANCELLED' });
+            if (response && response.imageData) {
+                const image = new Image();
+                image.src = response.imageData;
+                await image.decode();
+                snapshot = { image, scrollX, scrollY, devicePixelRatio: window.devicePixelRatio || 1 };
+            }
+        } catch (error) {
+            console.error('Arint Screenshot: Loupe snapshot failed', error);
+        } finally {
+            ownElements.forEach(el => el.style.removeProperty('visibility'));
+        }
+    }
+
+    /**
+     * Refresh the loupe snapshot once scrolling has stopped
+     */
+    function scheduleSnapshotRefresh() {
+        clearTimeout(snapshotTimer);
+
+        if (!snapshot || (snapshot.scrollX === window.scrollX && snapshot.scrollY === window.scrollY)) {
             return;
         }
 
-        // Send selection to background script
-        const selection = {
-            x: x,
-            y: y,
-            width: width,
-            height: height,
-            devicePixelRatio: window.devicePixelRatio || 1
-        };
+        snapshotTimer = setTimeout(() => {
+            if (!dragAction) refreshSnapshot();
+        }, 300);
+    }
 
-        // Hide overlay before capture
-        overlay.style.display = 'none';
-        selectionBox.style.display = 'none';
-        infoBox.style.display = 'none';
+    // ============================================
+    // Toolbar and Keyboard
+    // ============================================
 
-        // Small delay to ensure overlay is hidden
-        setTimeout(() => {
-            browser.runtime.sendMessage({
-                type: 'SELECTION_COMPLETE',
-                selection: selection
-            });
-            cleanup();
-        }, 50);
+    /**
+     * Handle toolbar button clicks
+     */
+    function onToolbarClick(e) {
+        const action = e.target.dataset.action;
+        if (action === 'confirm') confirmSelection();
+        if (action === 'cancel') cancelSelection();
+    }
+
+    /**
+     * Apply a newly chosen size preset
+     */
+    function onPresetChange() {
+        preset = PRESETS.find(item => item.id === presetSelect.value) || PRESETS[0];
+        presetSelect.blur();
+
+        if (preset.width) {
+            // Fixed size: start centred in the viewport, ready to move
+            selection = {
+                x: Math.round(window.scrollX + (document.documentElement.clientWidth - preset.width) / 2),
+                y: Math.round(window.scrollY + (document.documentElement.clientHeight - preset.height) / 2),
+                width: preset.width,
+                height: preset.height
+            };
+        } else if (preset.ratio && selection) {
+            selection.height = Math.round(selection.width / preset.ratio);
+        }
+
+        render();
+        updateLoupe();
     }
 
     /**
@@ -180,9 +659,83 @@
      */
     function onKeyDown(e) {
         if (e.key === 'Escape') {
-            cleanup();
-            browser.runtime.sendMessage({ type: 'SELECTION_CANCELLED' });
+            cancelSelection();
+            return;
+        }
+
+        // Leave keys alone while the preset list has focus
+        if (toolbar.contains(e.target)) return;
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            confirmSelection();
+            return;
+        }
+
+        const arrows = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        if (!selection || !arrows[e.key] || dragAction) return;
+
+        e.preventDefault();
+        const step = e.shiftKey ? 10 : 1;
+        const [dx, dy] = arrows[e.key];
+
+        if (e.altKey && !preset.width) {
+            // Alt + arrows resize from the bottom-right corner
+            selection.width = Math.max(1, selection.width + dx * step);
+            selection.height = preset.ratio
+                ? Math.round(selection.width / preset.ratio)
+                : Math.max(1, selection.height + dy * step);
+        } else {
+            selection.x += dx * step;
+            selection.y += dy * step;
+        }
+
+        render();
+    }
+
+    /**
+     * Cancel selection mode
+     */
+    function cancelSelection() {
+        cleanup();
+        browser.runtime.sendMessage({ type: 'SELECTION_CANCELLED' });
+    }
+
+    /**
+     * Send the selection to the background script and close the overlay
+     */
+    function confirmSelection() {
+        if (!selection || selection.width < 1 || selection.height < 1) return;
+
+        // Send selection to background script (document coordinates, plus the
+        // current viewport so it can skip scrolling when the region is on screen)
+        const message = {
+            type: 'SELECTION_COMPLETE',
+            selection: {
+                ...selection,
+                devicePixelRatio: window.devicePixelRatio || 1,
+                scrollX: window.scrollX,
+                scrollY: window.scrollY,
+                viewportWidth: document.documentElement.clientWidth,
+                viewportHeight: document.documentElement.clientHeight
+            }
+        };
+
+        // Hide overlay before capture
+        for (const el of getOwnElements()) {
+            el.style.display = 'none';
         }
+
+        // Small delay to ensure overlay is hidden
+        setTimeout(() => {
+            browser.runtime.sendMessage(message);
+            cleanup();
+        }, 50);
     }
 
     // Initialize when script loads
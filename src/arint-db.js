@@ -0,0 +1,234 @@
+/**
+ * Arint Screenshot - Capture Storage
+ * IndexedDB store shared by the background worker, the editor and the
+ * history page, so a capture outlives the background script, survives
+ * editor reloads and can be found again later
+ */
+
+(function () {
+    'use strict';
+
+    const DB_NAME = 'arint-screenshot';
+    const DB_VERSION = 2;
+    const CAPTURES = 'captures';
+    const HISTORY = 'history';
+    const HISTORY_IMAGES = 'historyImages';
+
+    let dbPromise = null;
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+
+                    if (event.oldVersion < 1) {
+                        // Captures waiting for (or shown in) an editor tab
+                        const captures = db.createObjectStore(CAPTURES, { keyPath: 'id' });
+                        captures.createIndex('tabId', 'tabId');
+                        captures.createIndex('createdAt', 'createdAt');
+                    }
+
+                    if (event.oldVersion < 2) {
+                        // Capture history: small metadata records with a thumbnail, and the
+                        // full images separately so listing the gallery stays cheap
+                        const history = db.createObjectStore(HISTORY, { keyPath: 'id' });
+                        history.createIndex('createdAt', 'createdAt');
+                        db.createObjectStore(HISTORY_IMAGES, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run a request against a store and resolve with its result once the
+     * transaction has committed
+     * @param {string} storeName
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>}
+     */
+    function run(storeName, mode, operation) {
+        return transact([storeName], mode, transaction => operation(transaction.objectStore(storeName)));
+    }
+
+    /**
+     * Run work spanning several stores in one transaction
+     * @param {Array<string>} storeNames
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the transaction, may return an IDBRequest
+     * @returns {Promise<*>} - The request's result, once committed
+     */
+    async function transact(storeNames, mode, operation) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const request = operation(transaction);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete every record of a store matching an index key range
+     * @param {string} storeName
+     * @param {string} indexName
+     * @param {IDBKeyRange|*} query
+     * @returns {Promise<number>} - Number of deleted records
+     */
+    async function deleteByIndex(storeName, indexName, query) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const request = transaction.objectStore(storeName).index(indexName).openCursor(query);
+            let count = 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    count++;
+                    cursor.continue();
+                }
+            };
+            transaction.oncomplete = () => resolve(count);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    self.ArintDB = {
+        /**
+         * Store a capture for an editor tab
+         * @param {object} capture - {id, imageData, part?, parts?, createdAt, tabId?}
+         */
+        putCapture(capture) {
+            return run(CAPTURES, 'readwrite', store => store.put(capture));
+        },
+
+        /**
+         * @param {string} id - Capture ID from the editor URL
+         * @returns {Promise<object|undefined>}
+         */
+        getCapture(id) {
+            return run(CAPTURES, 'readonly', store => store.get(id));
+        },
+
+        /**
+         * Record which tab shows a capture, so it can be dropped when the tab closes
+         * @param {string} id - Capture ID
+         * @param {number} tabId
+         */
+        async assignCaptureTab(id, tabId) {
+            const capture = await this.getCapture(id);
+            if (capture && capture.tabId !== tabId) {
+                await this.putCapture({ ...capture, tabId });
+            }
+        },
+
+        /**
+         * Drop the captures shown in a tab
+         * @param {number} tabId
+         */
+        deleteCapturesForTab(tabId) {
+            return deleteByIndex(CAPTURES, 'tabId', tabId);
+        },
+
+        /**
+         * Drop captures created before the given time
+         * @param {number} timestamp - Milliseconds since the epoch
+         */
+        deleteCapturesBefore(timestamp) {
+            return deleteByIndex(CAPTURES, 'createdAt', IDBKeyRange.upperBound(timestamp, true));
+        },
+
+        /**
+         * Add a capture to the history
+         * @param {object} entry - {id, createdAt, url, title, mode, width, height, size, thumbnail}
+         * @param {string} imageData - Full image data URL
+         */
+        addHistoryEntry(entry, imageData) {
+            return transact([HISTORY, HISTORY_IMAGES], 'readwrite', transaction => {
+                transaction.objectStore(HISTORY_IMAGES).put({ id: entry.id, imageData });
+                transaction.objectStore(HISTORY).put(entry);
+            });
+        },
+
+        /**
+         * @returns {Promise<Array<object>>} - History entries without images, newest first
+         */
+        async getHistoryEntries() {
+            const entries = await run(HISTORY, 'readonly', store => store.index('createdAt').getAll());
+            return entries.reverse();
+        },
+
+        /**
+         * @param {string} id - History entry ID
+         * @returns {Promise<object|undefined>} - Entry without its image
+         */
+        getHistoryEntry(id) {
+            return run(HISTORY, 'readonly', store => store.get(id));
+        },
+
+        /**
+         * @param {string} id - History entry ID
+         * @returns {Promise<string|undefined>} - Full image data URL
+         */
+        async getHistoryImage(id) {
+            const record = await run(HISTORY_IMAGES, 'readonly', store => store.get(id));
+            return record && record.imageData;
+        },
+
+        /**
+         * Delete history entries and their images
+         * @param {Array<string>} ids
+         */
+        deleteHistoryEntries(ids) {
+            return transact([HISTORY, HISTORY_IMAGES], 'readwrite', transaction => {
+                ids.forEach(id => {
+                    transaction.objectStore(HISTORY).delete(id);
+                    transaction.objectStore(HISTORY_IMAGES).delete(id);
+                });
+            });
+        },
+
+        /**
+         * Trim the history to the retention limits, dropping the oldest entries first
+         * @param {object} limits - {maxItems, maxBytes, maxAge}; 0 means no limit
+         * @returns {Promise<number>} - Number of deleted entries
+         */
+        async pruneHistory({ maxItems, maxBytes, maxAge }) {
+            const entries = await this.getHistoryEntries();
+            const oldest = maxAge > 0 ? Date.now() - maxAge : 0;
+            const expired = [];
+            let totalBytes = 0;
+
+            entries.forEach((entry, index) => {
+                totalBytes += entry.size;
+                if ((maxItems > 0 && index >= maxItems) ||
+                    (maxBytes > 0 && totalBytes > maxBytes) ||
+                    entry.createdAt < oldest) {
+                    expired.push(entry.id);
+                }
+            });
+
+            if (expired.length > 0) {
+                await this.deleteHistoryEntries(expired);
+            }
+            return expired.length;
+        }
+    };
+})();
@@ -0,0 +1,277 @@
+/**
+ * Arint Screenshot - Sensitive Text Detection
+ * Finds text on the page that looks like personal data or secrets (email
+ * addresses, phone numbers, card numbers, API keys and the user's own
+ * patterns) in the viewport and reports where it is in document coordinates,
+ * so the editor can offer to redact it. Captures that scroll run it once per
+ * segment, with the page laid out as captured. The result is the script's
+ * return value.
+ */
+
+(function () {
+    'use strict';
+
+    // Stop after this many matches, so a huge page cannot stall the capture
+    const MAX_MATCHES = 500;
+
+    // Stop looking at further text after this long, so the page is never held up (ms)
+    const SCAN_TIME_BUDGET = 250;
+
+    // User patterns see long text in windows of this many characters, which
+    // overlap so matches shorter than the overlap are not cut in two. A single
+    // regex.exec cannot be interrupted, so this bounds how long one may take
+    const CUSTOM_WINDOW_LENGTH = 128;
+    const CUSTOM_WINDOW_OVERLAP = 32;
+
+    // Extra space around each match so anti-aliased glyph edges are covered (CSS px)
+    const MATCH_PADDING = 2;
+
+    const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'OPTION']);
+
+    // Built-in patterns, in priority order: where matches overlap the first one wins
+    const BUILT_IN_PATTERNS = [
+        {
+            kind: 'email',
+            regex: /[\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi
+        },
+        {
+            kind: 'card',
+            regex: /\b\d(?:[ -]?\d){12,18}\b/g,
+            validate: passesLuhnCheck
+        },
+        {
+            kind: 'apiKey',
+            regex: new RegExp([
+                '\\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}',
+                '\\bAKIA[0-9A-Z]{16}\\b',
+                '\\bAIza[0-9A-Za-z_-]{35}',
+                '\\bgh[pousr]_[A-Za-z0-9]{36,}',
+                '\\bxox[abpr]-[A-Za-z0-9-]{10,}',
+                '\\beyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}',
+                // Long random-looking tokens mixing letters and digits
+                '\\b(?=[A-Za-z0-9_-]*\\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\\b'
+            ].join('|'), 'g')
+        },
+        {
+            kind: 'phone',
+            regex: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}/g,
+            validate: isPhoneNumber
+        }
+    ];
+
+    /**
+     * Check a card-like number with the Luhn checksum card numbers carry
+     * @param {string} text
+     * @returns {boolean}
+     */
+    function passesLuhnCheck(text) {
+        const digits = text.replace(/\D/g, '');
+        let sum = 0;
+
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Tell phone numbers from other digit runs: they have 7 to 15 digits, are
+     * written with a country code or separators, and are not dates or IP addresses
+     * @param {string} text
+     * @returns {boolean}
+     */
+    function isPhoneNumber(text) {
+        const digitCount = text.replace(/\D/g, '').length;
+        if (digitCount < 7 || digitCount > 15) return false;
+        if (!/^\+|[\s().-]/.test(text)) return false;
+        if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{4}$/.test(text)) return false;
+        if (/^\d{1,3}(?:\.\d{1,3}){3}$/.test(text)) return false;
+        return true;
+    }
+
+    /**
+     * Compile the user's patterns, already checked by the background script
+     * @param {Array<object>} patterns - {source, flags}
+     * @returns {Array<object>} - {kind, regex, windowLength}
+     */
+    function compileCustomPatterns(patterns) {
+        return patterns.map(({ source, flags }) => ({
+            kind: 'custom',
+            regex: new RegExp(source, flags + 'g'),
+            windowLength: CUSTOM_WINDOW_LENGTH
+        }));
+    }
+
+    /**
+     * Find non-overlapping matches in a string
+     * @param {string} text
+     * @param {Array<object>} patterns - Patterns with a windowLength only see
+     *   that much of the text at a time
+     * @returns {Array<object>} - {kind, start, end}
+     */
+    function findMatches(text, patterns) {
+        const found = [];
+
+        patterns.forEach(pattern => {
+            const windowLength = pattern.windowLength || text.length;
+            let from = 0;
+
+            do {
+                const chunk = text.slice(from, from + windowLength);
+                pattern.regex.lastIndex = 0;
+                let match;
+                while ((match = pattern.regex.exec(chunk)) !== null) {
+                    // Patterns that can match an empty string would loop forever
+                    if (match[0].length === 0) {
+                        pattern.regex.lastIndex++;
+                        continue;
+                    }
+
+                    const start = from + match.index;
+                    const end = start + match[0].length;
+                    const overlaps = found.some(other => start < other.end && end > other.start);
+
+                    if (!overlaps && (!pattern.validate || pattern.validate(match[0]))) {
+                        found.push({ kind: pattern.kind, start, end });
+                    }
+                }
+                from += windowLength - CUSTOM_WINDOW_OVERLAP;
+            } while (from + CUSTOM_WINDOW_OVERLAP < text.length);
+        });
+
+        return found.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Show a hint of what was found without repeating the sensitive text
+     * @param {string} text
+     * @returns {string}
+     */
+    function mask(text) {
+        if (text.length <= 6) return text.charAt(0) + '•••';
+        return text.slice(0, 2) + '•••' + text.slice(-2);
+    }
+
+    /**
+     * @param {DOMRect} rect - Viewport rectangle
+     * @returns {boolean} - Whether any of it is on screen
+     */
+    function isInViewport(rect) {
+        return rect.width > 0 && rect.height > 0 &&
+            rect.right > 0 && rect.bottom > 0 &&
+            rect.left < window.innerWidth && rect.top < window.innerHeight;
+    }
+
+    /**
+     * Viewport rectangles to padded document coordinates, leaving out those
+     * that are empty or off screen
+     * @param {Iterable<DOMRect>} clientRects
+     * @returns {Array<object>} - {x, y, width, height}
+     */
+    function toDocumentRects(clientRects) {
+        return [...clientRects]
+            .filter(isInViewport)
+            .map(rect => ({
+                x: rect.left + window.scrollX - MATCH_PADDING,
+                y: rect.top + window.scrollY - MATCH_PADDING,
+                width: rect.width + MATCH_PADDING * 2,
+                height: rect.height + MATCH_PADDING * 2
+            }));
+    }
+
+    /**
+     * @param {Element} el
+     * @returns {boolean} - Whether the element's text is shown on the page
+     */
+    function isVisible(el) {
+        return !SKIP_TAGS.has(el.tagName) &&
+            el.checkVisibility({ visibilityProperty: true, opacityProperty: true });
+    }
+
+    /**
+     * Scan the text and form fields in the viewport
+     * @param {Array<object>} customPatterns - User patterns {source, flags}
+     * @returns {object} - {scrollX, scrollY, viewportWidth, viewportHeight,
+     *   devicePixelRatio, matches: [{kind, preview, rects}]}
+     */
+    function scan(customPatterns) {
+        const patterns = [...BUILT_IN_PATTERNS, ...compileCustomPatterns(customPatterns)];
+        const deadline = performance.now() + SCAN_TIME_BUDGET;
+        const matches = [];
+        const visibility = new Map();
+        const range = document.createRange();
+
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                const parent = node.parentElement;
+                if (!parent || !node.data.trim()) return NodeFilter.FILTER_REJECT;
+
+                if (!visibility.has(parent)) {
+                    visibility.set(parent, isVisible(parent));
+                }
+                if (!visibility.get(parent)) return NodeFilter.FILTER_REJECT;
+
+                // Text outside the viewport belongs to another segment's scan
+                range.selectNodeContents(node);
+                return isInViewport(range.getBoundingClientRect())
+                    ? NodeFilter.FILTER_ACCEPT
+                    : NodeFilter.FILTER_REJECT;
+            }
+        });
+
+        while (matches.length < MAX_MATCHES && walker.nextNode()) {
+            if (performance.now() > deadline) {
+                console.warn('Arint Screenshot: Sensitive text scan ran out of time, some text was not checked');
+                break;
+            }
+            const node = walker.currentNode;
+
+            findMatches(node.data, patterns).forEach(found => {
+                range.setStart(node, found.start);
+                range.setEnd(node, found.end);
+
+                const rects = toDocumentRects(range.getClientRects());
+                if (rects.length > 0) {
+                    matches.push({
+                        kind: found.kind,
+                        preview: mask(node.data.slice(found.start, found.end)),
+                        rects
+                    });
+                }
+            });
+        }
+
+        // Values typed into form fields are not text nodes; mark the whole field
+        document.querySelectorAll('input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="search"], textarea')
+            .forEach(field => {
+                if (matches.length >= MAX_MATCHES || performance.now() > deadline ||
+                    !field.value || !isVisible(field)) return;
+
+                const rects = toDocumentRects([field.getBoundingClientRect()]);
+                const [found] = rects.length > 0 ? findMatches(field.value, patterns) : [];
+                if (found) {
+                    matches.push({
+                        kind: found.kind,
+                        preview: mask(field.value.slice(found.start, found.end)),
+                        rects
+                    });
+                }
+            });
+
+        return {
+            scrollX: window.scrollX,
+            scrollY: window.scrollY,
+            viewportWidth: window.innerWidth,
+            viewportHeight: window.innerHeight,
+            devicePixelRatio: window.devicePixelRatio || 1,
+            matches: matches.slice(0, MAX_MATCHES)
+        };
+    }
+
+    return scan(window.__arintDetectPatterns || []);
+})();
@@ -0,0 +1,318 @@
+/**
+ * Arint Screenshot - Element Picker
+ * Highlights the element under the cursor and reports its bounds for capture,
+ * or (in container mode) picks an inner scrollable element to scroll and stitch
+ */
+
+(function () {
+    'use strict';
+
+    // Prevent multiple injections
+    if (window.__arintPickerActive) {
+        return;
+    }
+    window.__arintPickerActive = true;
+
+    // 'element' captures the element itself, 'container' captures a scrolling area's content
+    const mode = window.__arintPickerMode || 'element';
+    delete window.__arintPickerMode;
+
+    // Picker state
+    let highlight = null;
+    let label = null;
+    let hint = null;
+    let hoverTarget = null;
+    let currentTarget = null;
+    let childStack = [];
+
+    /**
+     * Initialize picker mode
+     */
+    function init() {
+        createOverlay();
+        addEventListeners();
+
+        // Start on the scroll container the background script detected, if any
+        if (mode === 'container') {
+            const detected = document.querySelector('[data-arint-scroll-target]');
+            if (detected) setTarget(detected);
+        }
+    }
+
+    /**
+     * Create the highlight box, label and hint bar
+     */
+    function createOverlay() {
+        // Highlight box (hidden until the cursor is over an element)
+        highlight = document.createElement('div');
+        highlight.className = 'arint-picker-highlight';
+        highlight.style.display = 'none';
+        document.body.appendChild(highlight);
+
+        // Label showing the element and its dimensions
+        label = document.createElement('div');
+        label.className = 'arint-picker-label';
+        label.style.display = 'none';
+        document.body.appendChild(label);
+
+        // Usage hint
+        hint = document.createElement('div');
+        hint.className = 'arint-picker-hint';
+        hint.textContent = mode === 'container'
+            ? 'Click a scrolling area to capture  •  ↑ outer area  •  ↓ back  •  Enter to confirm  •  Esc to cancel'
+            : 'Click to capture  •  ↑ parent  •  ↓ child  •  Enter to confirm  •  Esc to cancel';
+        document.body.appendChild(hint);
+    }
+
+    /**
+     * Add event listeners for picking
+     */
+    function addEventListeners() {
+        // Capture phase so the page never sees the clicks meant for the picker
+        document.addEventListener('mousemove', onMouseMove, true);
+        document.addEventListener('mousedown', blockEvent, true);
+        document.addEventListener('mouseup', blockEvent, true);
+        document.addEventListener('click', onClick, true);
+        document.addEventListener('keydown', onKeyDown, true);
+        window.addEventListener('scroll', updateHighlight, true);
+    }
+
+    /**
+     * Remove event listeners and cleanup
+     */
+    function cleanup() {
+        document.removeEventListener('mousemove', onMouseMove, true);
+        document.removeEventListener('mousedown', blockEvent, true);
+        document.removeEventListener('mouseup', blockEvent, true);
+        document.removeEventListener('click', onClick, true);
+        document.removeEventListener('keydown', onKeyDown, true);
+        window.removeEventListener('scroll', updateHighlight, true);
+
+        if (highlight) highlight.remove();
+        if (label) label.remove();
+        if (hint) hint.remove();
+
+        window.__arintPickerActive = false;
+    }
+
+    /**
+     * Check whether a node belongs to the picker UI
+     * @param {Element} el
+     * @returns {boolean}
+     */
+    function isPickerElement(el) {
+        return el === highlight || el === label || el === hint;
+    }
+
+    /**
+     * Check whether an element scrolls its own content
+     * @param {Element} el
+     * @returns {boolean}
+     */
+    function isScrollable(el) {
+        if (el.scrollHeight <= el.clientHeight + 1 && el.scrollWidth <= el.clientWidth + 1) {
+            return false;
+        }
+        const style = getComputedStyle(el);
+        return /(auto|scroll|overlay)/.test(style.overflowX + ' ' + style.overflowY);
+    }
+
+    /**
+     * Find the nearest scrollable element at or above the given one. The page
+     * itself is left out - that is what full-page capture is for.
+     * @param {Element} el
+     * @returns {Element|null}
+     */
+    function findScrollableAncestor(el) {
+        while (el && el !== document.body && el !== document.documentElement) {
+            if (isScrollable(el)) return el;
+            el = el.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * Make an element the current target and redraw the highlight
+     * @param {Element} el
+     */
+    function setTarget(el) {
+        currentTarget = el;
+        updateHighlight();
+    }
+
+    /**
+     * Position the highlight box and label over the current target
+     */
+    function updateHighlight() {
+        if (!currentTarget) return;
+
+        const rect = currentTarget.getBoundingClientRect();
+
+        highlight.style.display = 'block';
+        highlight.style.left = rect.left + 'px';
+        highlight.style.top = rect.top + 'px';
+        highlight.style.width = rect.width + 'px';
+        highlight.style.height = rect.height + 'px';
+
+        label.style.display = 'block';
+        label.textContent = `${describeElement(currentTarget)}  ${Math.round(rect.width)} × ${Math.round(rect.height)}`;
+
+        // Place the label above the element, or inside it when there is no room
+        const labelHeight = label.getBoundingClientRect().height;
+        const top = rect.top - labelHeight - 4;
+        label.style.top = (top >= 0 ? top : Math.max(rect.top, 0) + 4) + 'px';
+        label.style.left = Math.max(0, Math.min(rect.left, window.innerWidth - label.offsetWidth)) + 'px';
+    }
+
+    /**
+     * Build a short CSS-like description of an element
+     * @param {Element} el
+     * @returns {string}
+     */
+    function describeElement(el) {
+        let description = el.tagName.toLowerCase();
+        if (el.id) {
+            description += '#' + el.id;
+        }
+        if (typeof el.className === 'string' && el.className.trim()) {
+            description += '.' + el.className.trim().split(/\s+/).slice(0, 2).join('.');
+        }
+        return description;
+    }
+
+    /**
+     * Handle mouse move - track the element under the cursor
+     */
+    function onMouseMove(e) {
+        const el = document.elementFromPoint(e.clientX, e.clientY);
+        if (!el || isPickerElement(el) || el === hoverTarget) return;
+
+        hoverTarget = el;
+        childStack = [];
+
+        const target = mode === 'container' ? findScrollableAncestor(el) : el;
+        if (target) setTarget(target);
+    }
+
+    /**
+     * Swallow mouse events so the page does not react to them
+     */
+    function blockEvent(e) {
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Handle click - capture the highlighted element
+     */
+    function onClick(e) {
+        blockEvent(e);
+        confirmSelection();
+    }
+
+    /**
+     * Handle keyboard events
+     */
+    function onKeyDown(e) {
+        switch (e.key) {
+            case 'ArrowUp': {
+                // Walk up to the parent element (or the next scrolling area out)
+                const parent = currentTarget && (mode === 'container'
+                    ? findScrollableAncestor(currentTarget.parentElement)
+                    : currentTarget.parentElement);
+                if (parent) {
+                    childStack.push(currentTarget);
+                    setTarget(parent);
+                }
+                break;
+            }
+
+            case 'ArrowDown':
+                // Walk back down, or into the first child
+                if (childStack.length > 0) {
+                    setTarget(childStack.pop());
+                } else if (mode === 'element' && currentTarget && currentTarget.firstElementChild) {
+                    setTarget(currentTarget.firstElementChild);
+                }
+                break;
+
+            case 'Enter':
+                confirmSelection();
+                break;
+
+            case 'Escape':
+                cancel();
+                break;
+
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * Cancel picking and tell the background script
+     */
+    function cancel() {
+        document.querySelectorAll('[data-arint-scroll-target]').forEach(el => {
+            el.removeAttribute('data-arint-scroll-target');
+        });
+        cleanup();
+        browser.runtime.sendMessage({ type: 'SELECTION_CANCELLED' });
+    }
+
+    /**
+     * Send the current target to the background script: its bounds (in
+     * document coordinates) in element mode, or a marker attribute on the
+     * scroll container in container mode
+     */
+    function confirmSelection() {
+        if (!currentTarget) return;
+
+        const rect = currentTarget.getBoundingClientRect();
+
+        if (rect.width < 1 || rect.height < 1) {
+            console.log('Arint Screenshot: Element has no visible size, cancelled');
+            cancel();
+            return;
+        }
+
+        let message;
+
+        if (mode === 'container') {
+            document.querySelectorAll('[data-arint-scroll-target]').forEach(el => {
+                el.removeAttribute('data-arint-scroll-target');
+            });
+            currentTarget.setAttribute('data-arint-scroll-target', '');
+
+            message = { type: 'CONTAINER_SELECTED' };
+        } else {
+            message = {
+                type: 'ELEMENT_SELECTED',
+                element: {
+                    x: rect.left + window.scrollX,
+                    y: rect.top + window.scrollY,
+                    width: rect.width,
+                    height: rect.height,
+                    devicePixelRatio: window.devicePixelRatio || 1
+                }
+            };
+        }
+
+        // Hide picker UI before capture
+        highlight.style.display = 'none';
+        label.style.display = 'none';
+        hint.style.display = 'none';
+
+        // Small delay to ensure the picker UI is hidden
+        setTimeout(() => {
+            browser.runtime.sendMessage(message);
+            cleanup();
+        }, 50);
+    }
+
+    // Initialize when script loads
+    init();
+})();
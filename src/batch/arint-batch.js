@@ -0,0 +1,265 @@
+/**
+ * Arint Screenshot - Batch Capture Page
+ * Lets the user pick tabs of the current window, has the background worker
+ * capture them one by one, and reviews the results with a download-all
+ */
+
+(function () {
+  'use strict';
+
+  const ALL_SITES = { origins: ['<all_urls>'] };
+
+  // DOM Elements
+  const permissionView = document.getElementById('permission-view');
+  const setupView = document.getElementById('setup-view');
+  const progressView = document.getElementById('progress-view');
+  const reviewView = document.getElementById('review-view');
+  const tabList = document.getElementById('tab-list');
+  const selectAll = document.getElementById('select-all');
+  const modeSelect = document.getElementById('batch-mode');
+  const btnStart = document.getElementById('btn-start');
+  const progressText = document.getElementById('progress-text');
+  const progressBar = document.getElementById('progress-bar');
+  const reviewSummary = document.getElementById('review-summary');
+  const skippedList = document.getElementById('skipped-list');
+  const resultGrid = document.getElementById('result-grid');
+
+  let results = [];
+
+  /**
+   * Show one of the page's views
+   * @param {HTMLElement} view
+   */
+  function showView(view) {
+    [permissionView, setupView, progressView, reviewView].forEach(section => {
+      section.hidden = section !== view;
+    });
+  }
+
+  /**
+   * Ask for access to all sites if not granted yet, otherwise list the tabs
+   */
+  async function init() {
+    if (await browser.permissions.contains(ALL_SITES)) {
+      await renderTabList();
+    } else {
+      showView(permissionView);
+    }
+  }
+
+  /**
+   * List the other tabs of this window with a checkbox each
+   */
+  async function renderTabList() {
+    const currentTab = await browser.tabs.getCurrent();
+    const tabs = (await browser.tabs.query({ currentWindow: true }))
+      .filter(tab => tab.id !== currentTab.id);
+
+    // The background worker knows which pages the browser refuses to capture
+    const restrictedTabs = await browser.runtime.sendMessage({
+      type: 'CHECK_RESTRICTED',
+      urls: tabs.map(tab => tab.url)
+    });
+
+    tabList.replaceChildren();
+
+    tabs.forEach((tab, index) => {
+      const restricted = restrictedTabs[index];
+      const item = document.createElement('li');
+      item.classList.toggle('restricted', restricted);
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = tab.id;
+      checkbox.checked = true;
+      checkbox.addEventListener('change', updateStartButton);
+
+      let icon;
+      if (tab.favIconUrl && !tab.favIconUrl.startsWith('chrome:')) {
+        icon = document.createElement('img');
+        icon.src = tab.favIconUrl;
+        icon.alt = '';
+      } else {
+        icon = document.createElement('span');
+        icon.className = 'favicon-placeholder';
+      }
+
+      const title = document.createElement('span');
+      title.className = 'tab-title';
+      title.textContent = tab.title || tab.url;
+      title.title = tab.url;
+
+      item.append(checkbox, icon, title);
+
+      if (restricted) {
+        const note = document.createElement('span');
+        note.className = 'tab-note';
+        note.textContent = 'Will be skipped';
+        item.appendChild(note);
+      }
+
+      tabList.appendChild(item);
+    });
+
+    showView(setupView);
+    updateStartButton();
+  }
+
+  /**
+   * @returns {Array<HTMLInputElement>} - Tab checkboxes
+   */
+  function getCheckboxes() {
+    return [...tabList.querySelectorAll('input[type="checkbox"]')];
+  }
+
+  /**
+   * Show how many tabs will be captured and keep "select all" in step
+   */
+  function updateStartButton() {
+    const checkboxes = getCheckboxes();
+    const count = checkboxes.filter(checkbox => checkbox.checked).length;
+    btnStart.disabled = count === 0;
+    btnStart.textContent = `Capture ${count} ${count === 1 ? 'tab' : 'tabs'}`;
+    selectAll.checked = count === checkboxes.length;
+  }
+
+  /**
+   * Have the background worker capture the chosen tabs
+   */
+  async function startBatch() {
+    const tabIds = getCheckboxes()
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => Number(checkbox.value));
+
+    progressBar.max = tabIds.length;
+    progressBar.value = 0;
+    progressText.textContent = 'Starting…';
+    showView(progressView);
+
+    try {
+      const response = await browser.runtime.sendMessage({
+        type: 'BATCH_CAPTURE',
+        tabIds,
+        mode: modeSelect.value
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response ? response.error : 'Unknown error');
+      }
+
+      results = response.results;
+      await renderReview();
+    } catch (error) {
+      console.error('Arint Screenshot: Batch capture failed', error);
+      progressText.textContent = 'Batch capture failed: ' + error.message;
+    }
+  }
+
+  /**
+   * Show the captured images and the tabs that were skipped or failed
+   */
+  async function renderReview() {
+    const captured = results.filter(result => result.status === 'captured');
+    const missed = results.filter(result => result.status !== 'captured');
+
+    reviewSummary.textContent = `${captured.length} of ${results.length} tabs captured`;
+
+    skippedList.replaceChildren(...missed.map(result => {
+      const item = document.createElement('li');
+      const title = document.createElement('span');
+      title.className = 'tab-title';
+      title.textContent = result.title || result.url || `Tab ${result.tabId}`;
+      const reason = document.createElement('span');
+      reason.className = 'skipped-reason';
+      reason.textContent = result.reason;
+      item.append(title, reason);
+      return item;
+    }));
+
+    resultGrid.replaceChildren();
+
+    for (const result of captured) {
+      for (const id of result.captureIds) {
+        const capture = await ArintDB.getCapture(id);
+        if (!capture) continue;
+
+        const card = document.createElement('div');
+        card.className = 'result-card';
+
+        const image = document.createElement('img');
+        image.src = capture.imageData;
+        image.alt = result.title || '';
+        image.title = 'Open in editor';
+        image.addEventListener('click', () => {
+          browser.runtime.sendMessage({ type: 'OPEN_CAPTURE', id });
+        });
+
+        const info = document.createElement('div');
+        info.className = 'result-info';
+        const title = document.createElement('span');
+        title.textContent = (result.title || 'Untitled') +
+          (capture.parts > 1 ? ` (${capture.part}/${capture.parts})` : '');
+        const address = document.createElement('span');
+        address.className = 'result-url';
+        address.textContent = result.url;
+        info.append(title, address);
+
+        card.append(image, info);
+        resultGrid.appendChild(card);
+      }
+    }
+
+    document.getElementById('btn-download-all').disabled = captured.length === 0;
+    showView(reviewView);
+  }
+
+  /**
+   * Download every captured image as a PNG file
+   */
+  async function downloadAll() {
+    const timestamp = Date.now();
+    let index = 0;
+
+    for (const result of results) {
+      for (const id of result.captureIds) {
+        const capture = await ArintDB.getCapture(id);
+        if (!capture) continue;
+
+        index++;
+        const host = result.url ? new URL(result.url).hostname : 'tab';
+        const suffix = capture.parts > 1 ? `-part-${capture.part}-of-${capture.parts}` : '';
+
+        const link = document.createElement('a');
+        link.href = capture.imageData;
+        link.download = `arint-screenshot-${timestamp}-${String(index).padStart(2, '0')}-${host}${suffix}.png`;
+        link.click();
+      }
+    }
+  }
+
+  // Progress from the background worker
+  browser.runtime.onMessage.addListener((message) => {
+    if (message.type === 'BATCH_PROGRESS') {
+      progressBar.value = message.current - 1;
+      progressText.textContent = `Capturing ${message.current} of ${message.total}: ${message.title}`;
+    }
+  });
+
+  // Event Listeners
+  document.getElementById('btn-grant').addEventListener('click', async () => {
+    if (await browser.permissions.request(ALL_SITES)) {
+      await renderTabList();
+    }
+  });
+  selectAll.addEventListener('change', () => {
+    getCheckboxes().forEach(checkbox => {
+      checkbox.checked = selectAll.checked;
+    });
+    updateStartButton();
+  });
+  btnStart.addEventListener('click', startBatch);
+  document.getElementById('btn-download-all').addEventListener('click', downloadAll);
+  document.getElementById('btn-restart').addEventListener('click', renderTabList);
+
+  init();
+})();
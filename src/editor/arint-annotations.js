@@ -0,0 +1,593 @@
+/**
+ * Arint Screenshot - Annotations
+ * Vector annotations drawn over the screenshot in the editor. An annotation
+ * is a plain object with a type, its style and a list of points in image
+ * pixels, so it can be hit-tested, moved, resized and restyled until the
+ * image is exported.
+ */
+
+(function () {
+    'use strict';
+
+    // Extra distance around a stroke that still counts as a hit (image pixels at 100% zoom)
+    const HIT_TOLERANCE = 4;
+
+    // Angle between an arrow's shaft and each side of its head
+    const ARROW_HEAD_ANGLE = Math.PI / 7;
+
+    // Font size limits for text annotations (image pixels)
+    const MIN_FONT_SIZE = 6;
+    const MAX_FONT_SIZE = 400;
+
+    // Context used only to measure text
+    const measureCtx = new OffscreenCanvas(1, 1).getContext('2d');
+
+    /**
+     * Apply an annotation's stroke style
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {object} annotation
+     */
+    function setStroke(ctx, annotation) {
+        ctx.strokeStyle = annotation.color;
+        ctx.fillStyle = annotation.color;
+        ctx.lineWidth = annotation.width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+    }
+
+    /**
+     * Draw a freehand stroke, smoothed with quadratic curves through the
+     * midpoints of its points
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {object} annotation
+     */
+    function drawPen(ctx, annotation) {
+        const points = annotation.points;
+        const last = points[points.length - 1];
+
+        setStroke(ctx, annotation);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length - 1; i++) {
+            const midX = (points[i].x + points[i + 1].x) / 2;
+            const midY = (points[i].y + points[i + 1].y) / 2;
+            ctx.quadraticCurveTo(points[i].x, points[i].y, midX, midY);
+        }
+        // A single click still leaves a dot
+        ctx.lineTo(last.x + (points.length === 1 ? 0.01 : 0), last.y);
+        ctx.stroke();
+    }
+
+    /**
+     * Box spanned by a two-point shape, with a positive size
+     * @param {object} annotation
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    function getBox(annotation) {
+        const [start, end] = annotation.points;
+        return {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
+    }
+
+    function drawLine(ctx, annotation) {
+        const [start, end] = annotation.points;
+        setStroke(ctx, annotation);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+    }
+
+    /**
+     * @param {object} annotation
+     * @returns {number} - Length of an arrow head's sides
+     */
+    function getHeadLength(annotation) {
+        return Math.max(10, annotation.width * 3);
+    }
+
+    /**
+     * Draw an arrow with a filled or open head at its end, or filled heads
+     * at both ends
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {object} annotation
+     */
+    function drawArrow(ctx, annotation) {
+        const [start, end] = annotation.points;
+        const headLength = getHeadLength(annotation);
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const filled = annotation.head !== 'open';
+
+        // Filled heads cover the end of the shaft, so stop it at the head's base
+        const inset = filled ? Math.min(headLength * Math.cos(ARROW_HEAD_ANGLE), length / 2) : 0;
+        const startInset = annotation.head === 'double' ? inset : 0;
+
+        setStroke(ctx, annotation);
+        ctx.beginPath();
+        ctx.moveTo(start.x + Math.cos(angle) * startInset, start.y + Math.sin(angle) * startInset);
+        ctx.lineTo(end.x - Math.cos(angle) * inset, end.y - Math.sin(angle) * inset);
+        ctx.stroke();
+
+        drawArrowHead(ctx, end, angle, headLength, filled);
+        if (annotation.head === 'double') {
+            drawArrowHead(ctx, start, angle + Math.PI, headLength, true);
+        }
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{x: number, y: number}} tip
+     * @param {number} angle - Direction the arrow points in
+     * @param {number} headLength
+     * @param {boolean} filled
+     */
+    function drawArrowHead(ctx, tip, angle, headLength, filled) {
+        ctx.beginPath();
+        ctx.moveTo(
+            tip.x - headLength * Math.cos(angle - ARROW_HEAD_ANGLE),
+            tip.y - headLength * Math.sin(angle - ARROW_HEAD_ANGLE)
+        );
+        ctx.lineTo(tip.x, tip.y);
+        ctx.lineTo(
+            tip.x - headLength * Math.cos(angle + ARROW_HEAD_ANGLE),
+            tip.y - headLength * Math.sin(angle + ARROW_HEAD_ANGLE)
+        );
+
+        if (filled) {
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.stroke();
+    }
+
+    function drawRectangle(ctx, annotation) {
+        const box = getBox(annotation);
+        const radius = Math.min(annotation.radius || 0, box.width / 2, box.height / 2);
+
+        setStroke(ctx, annotation);
+        ctx.beginPath();
+        ctx.roundRect(box.x, box.y, box.width, box.height, radius);
+        if (annotation.fill) {
+            ctx.fillStyle = annotation.fill;
+            ctx.fill();
+        }
+        ctx.stroke();
+    }
+
+    function drawEllipse(ctx, annotation) {
+        const box = getBox(annotation);
+
+        setStroke(ctx, annotation);
+        ctx.beginPath();
+        ctx.ellipse(box.x + box.width / 2, box.y + box.height / 2, box.width / 2, box.height / 2, 0, 0, Math.PI * 2);
+        if (annotation.fill) {
+            ctx.fillStyle = annotation.fill;
+            ctx.fill();
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Measure a text annotation. Its point is the top-left corner of the
+     * box, which has some padding around the text for the background.
+     * @param {object} annotation
+     * @returns {{font: string, lines: Array<string>, lineHeight: number, pad: number, width: number, height: number}}
+     */
+    function getTextLayout(annotation) {
+        const font = `${annotation.bold ? 'bold ' : ''}${annotation.fontSize}px ${annotation.font}`;
+        const lines = annotation.text.split('\n');
+
+        measureCtx.font = font;
+        const textWidth = Math.max(...lines.map(line => measureCtx.measureText(line).width));
+        const lineHeight = Math.round(annotation.fontSize * 1.25);
+        const pad = Math.round(annotation.fontSize * 0.3);
+
+        return {
+            font,
+            lines,
+            lineHeight,
+            pad,
+            width: Math.ceil(textWidth) + pad * 2,
+            height: lines.length * lineHeight + pad * 2
+        };
+    }
+
+    /**
+     * Black or white, whichever stands out more against a color
+     * @param {string} color - '#rrggbb'
+     * @returns {string}
+     */
+    function getOutlineColor(color) {
+        const value = parseInt(color.slice(1), 16);
+        const luminance = 0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xff) + 0.114 * (value & 0xff);
+        return luminance > 150 ? '#000000' : '#ffffff';
+    }
+
+    /**
+     * Draw a text annotation line by line, over its background if it has
+     * one, and with a contrasting outline if enabled
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {object} annotation
+     */
+    function drawText(ctx, annotation) {
+        const layout = getTextLayout(annotation);
+        const [origin] = annotation.points;
+
+        if (annotation.fill) {
+            ctx.fillStyle = annotation.fill;
+            ctx.beginPath();
+            ctx.roundRect(origin.x, origin.y, layout.width, layout.height, layout.pad / 2);
+            ctx.fill();
+        }
+
+        ctx.font = layout.font;
+        ctx.textBaseline = 'middle';
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = getOutlineColor(annotation.color);
+        ctx.lineWidth = Math.max(2, annotation.fontSize / 6);
+        ctx.fillStyle = annotation.color;
+
+        layout.lines.forEach((line, index) => {
+            const x = origin.x + layout.pad;
+            const y = origin.y + layout.pad + (index + 0.5) * layout.lineHeight;
+            if (annotation.outline) {
+                ctx.strokeText(line, x, y);
+            }
+            ctx.fillText(line, x, y);
+        });
+    }
+
+    /**
+     * Check whether a point lies in a text annotation's box
+     * @param {object} annotation
+     * @param {number} x
+     * @param {number} y
+     * @param {number} tolerance
+     * @returns {boolean}
+     */
+    function hitText(annotation, x, y, tolerance) {
+        const layout = getTextLayout(annotation);
+        const [origin] = annotation.points;
+        return x >= origin.x - tolerance && x <= origin.x + layout.width + tolerance &&
+            y >= origin.y - tolerance && y <= origin.y + layout.height + tolerance;
+    }
+
+    /**
+     * Check whether a point lies on a polyline, within half its width
+     * @param {object} annotation
+     * @param {number} x
+     * @param {number} y
+     * @param {number} tolerance
+     * @returns {boolean}
+     */
+    function hitPolyline(annotation, x, y, tolerance) {
+        const points = annotation.points;
+        const reach = annotation.width / 2 + tolerance;
+
+        if (points.length === 1) {
+            return Math.hypot(x - points[0].x, y - points[0].y) <= reach;
+        }
+        for (let i = 1; i < points.length; i++) {
+            if (distanceToSegment(x, y, points[i - 1], points[i]) <= reach) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Check whether a point lies on a rectangle's outline, or inside it when filled
+     * @param {object} annotation
+     * @param {number} x
+     * @param {number} y
+     * @param {number} tolerance
+     * @returns {boolean}
+     */
+    function hitRectangle(annotation, x, y, tolerance) {
+        const box = getBox(annotation);
+        const reach = annotation.width / 2 + tolerance;
+
+        const inOuter = x >= box.x - reach && x <= box.x + box.width + reach &&
+            y >= box.y - reach && y <= box.y + box.height + reach;
+        const inInner = x > box.x + reach && x < box.x + box.width - reach &&
+            y > box.y + reach && y < box.y + box.height - reach;
+
+        return inOuter && (!inInner || Boolean(annotation.fill));
+    }
+
+    /**
+     * Check whether a point lies on an ellipse's outline, or inside it when filled
+     * @param {object} annotation
+     * @param {number} x
+     * @param {number} y
+     * @param {number} tolerance
+     * @returns {boolean}
+     */
+    function hitEllipse(annotation, x, y, tolerance) {
+        const box = getBox(annotation);
+        const radiusX = box.width / 2;
+        const radiusY = box.height / 2;
+        const reach = annotation.width / 2 + tolerance;
+
+        // A flat ellipse is drawn as a line
+        if (radiusX < 1 || radiusY < 1) {
+            return hitPolyline(annotation, x, y, tolerance);
+        }
+
+        const distance = Math.hypot(
+            (x - box.x - radiusX) / radiusX,
+            (y - box.y - radiusY) / radiusY
+        );
+        const edge = Math.abs(distance - 1) * Math.min(radiusX, radiusY);
+
+        return edge <= reach || (Boolean(annotation.fill) && distance <= 1);
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {{x: number, y: number}} a - Segment start
+     * @param {{x: number, y: number}} b - Segment end
+     * @returns {number}
+     */
+    function distanceToSegment(x, y, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0
+            ? 0
+            : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared));
+        return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+    }
+
+    // Drawing, hit-testing and the style properties used, by annotation type
+    const TYPES = {
+        pen: { draw: drawPen, hitTest: hitPolyline, style: ['color', 'width'] },
+        line: { draw: drawLine, hitTest: hitPolyline, style: ['color', 'width'] },
+        arrow: { draw: drawArrow, hitTest: hitPolyline, style: ['color', 'width', 'head'] },
+        rectangle: { draw: drawRectangle, hitTest: hitRectangle, style: ['color', 'width', 'fill', 'radius'] },
+        ellipse: { draw: drawEllipse, hitTest: hitEllipse, style: ['color', 'width', 'fill'] },
+        text: { draw: drawText, hitTest: hitText, style: ['color', 'font', 'fontSize', 'bold', 'fill', 'outline'] }
+    };
+
+    self.ArintAnnotations = {
+        /**
+         * Create an annotation
+         * @param {string} type - 'pen', 'line', 'arrow', 'rectangle', 'ellipse' or 'text'
+         * @param {Array<{x: number, y: number}>} points - In image pixels; start
+         *   and end for shapes
+         * @param {object} style - {color, width, fill, head, radius, font,
+         *   fontSize, bold, outline}; only the properties the type uses are kept
+         * @returns {object}
+         */
+        create(type, points, style) {
+            const annotation = { id: crypto.randomUUID(), type, points };
+            this.getStyleKeys(type).forEach(key => {
+                annotation[key] = style[key];
+            });
+            return annotation;
+        },
+
+        /**
+         * @param {string} type
+         * @returns {Array<string>} - Style properties an annotation type uses
+         */
+        getStyleKeys(type) {
+            return TYPES[type].style;
+        },
+
+        /**
+         * Where a shape being drawn with Shift held ends: rectangles and
+         * ellipses become squares and circles, lines and arrows snap to 45°
+         * @param {string} type
+         * @param {{x: number, y: number}} start
+         * @param {{x: number, y: number}} end
+         * @returns {{x: number, y: number}}
+         */
+        constrain(type, start, end) {
+            const dx = end.x - start.x;
+            const dy = end.y - start.y;
+
+            if (type === 'rectangle' || type === 'ellipse') {
+                const size = Math.max(Math.abs(dx), Math.abs(dy));
+                return { x: start.x + Math.sign(dx || 1) * size, y: start.y + Math.sign(dy || 1) * size };
+            }
+
+            const step = Math.PI / 4;
+            const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+            const length = Math.hypot(dx, dy);
+            return { x: start.x + Math.cos(angle) * length, y: start.y + Math.sin(angle) * length };
+        },
+
+        /**
+         * Draw annotations in order, the last one on top
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {Array<object>} annotations
+         */
+        drawAll(ctx, annotations) {
+            annotations.forEach(annotation => {
+                ctx.save();
+                TYPES[annotation.type].draw(ctx, annotation);
+                ctx.restore();
+            });
+        },
+
+        /**
+         * Find the topmost annotation at a point
+         * @param {Array<object>} annotations
+         * @param {number} x
+         * @param {number} y
+         * @param {number} zoom - Editor zoom, so the tolerance stays the same on screen
+         * @returns {object|null}
+         */
+        findAt(annotations, x, y, zoom) {
+            for (let i = annotations.length - 1; i >= 0; i--) {
+                const annotation = annotations[i];
+                if (TYPES[annotation.type].hitTest(annotation, x, y, HIT_TOLERANCE / zoom)) {
+                    return annotation;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Box around an annotation's points
+         * @param {object} annotation
+         * @returns {{x: number, y: number, width: number, height: number}}
+         */
+        getPointBounds(annotation) {
+            if (annotation.type === 'text') {
+                const layout = getTextLayout(annotation);
+                const [origin] = annotation.points;
+                return { x: origin.x, y: origin.y, width: layout.width, height: layout.height };
+            }
+
+            const xs = annotation.points.map(point => point.x);
+            const ys = annotation.points.map(point => point.y);
+            const x = Math.min(...xs);
+            const y = Math.min(...ys);
+            return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+        },
+
+        /**
+         * Box around everything an annotation paints, including its stroke width
+         * @param {object} annotation
+         * @returns {{x: number, y: number, width: number, height: number}}
+         */
+        getBounds(annotation) {
+            const box = this.getPointBounds(annotation);
+            let pad = annotation.width / 2;
+            if (annotation.type === 'arrow') pad = getHeadLength(annotation);
+            if (annotation.type === 'text') pad = 0;
+
+            return { x: box.x - pad, y: box.y - pad, width: box.width + pad * 2, height: box.height + pad * 2 };
+        },
+
+        /**
+         * Resize handles on the corners and edges of a box
+         * @param {{x: number, y: number, width: number, height: number}} box
+         * @returns {Array<{name: string, x: number, y: number}>}
+         */
+        getHandles(box) {
+            const left = box.x;
+            const right = box.x + box.width;
+            const top = box.y;
+            const bottom = box.y + box.height;
+            const centerX = box.x + box.width / 2;
+            const centerY = box.y + box.height / 2;
+
+            return [
+                { name: 'nw', x: left, y: top },
+                { name: 'n', x: centerX, y: top },
+                { name: 'ne', x: right, y: top },
+                { name: 'e', x: right, y: centerY },
+                { name: 'se', x: right, y: bottom },
+                { name: 's', x: centerX, y: bottom },
+                { name: 'sw', x: left, y: bottom },
+                { name: 'w', x: left, y: centerY }
+            ];
+        },
+
+        /**
+         * Move the edges of a box dragged by one of its handles
+         * @param {{x: number, y: number, width: number, height: number}} box
+         * @param {string} handle - 'nw', 'n', 'ne', 'e', 'se', 's', 'sw' or 'w'
+         * @param {number} dx
+         * @param {number} dy
+         * @returns {{x: number, y: number, width: number, height: number}}
+         */
+        resizeBox(box, handle, dx, dy) {
+            let { x, y, width, height } = box;
+
+            if (handle.includes('w')) {
+                x += dx;
+                width -= dx;
+            }
+            if (handle.includes('e')) {
+                width += dx;
+            }
+            if (handle.includes('n')) {
+                y += dy;
+                height -= dy;
+            }
+            if (handle.includes('s')) {
+                height += dy;
+            }
+            return { x, y, width, height };
+        },
+
+        /**
+         * Map points from one box onto another
+         * @param {Array<{x: number, y: number}>} points
+         * @param {{x: number, y: number, width: number, height: number}} from
+         * @param {{x: number, y: number, width: number, height: number}} to
+         * @returns {Array<{x: number, y: number}>}
+         */
+        scalePoints(points, from, to) {
+            // A flat box (e.g. a horizontal stroke) can only be moved along its flat side
+            const scaleX = from.width === 0 ? 1 : to.width / from.width;
+            const scaleY = from.height === 0 ? 1 : to.height / from.height;
+
+            return points.map(point => ({
+                ...point,
+                x: to.x + (point.x - from.x) * scaleX,
+                y: to.y + (point.y - from.y) * scaleY
+            }));
+        },
+
+        /**
+         * Resize an annotation from its state when the resize started. Text
+         * keeps its proportions and changes its font size instead.
+         * @param {object} annotation - Annotation to update
+         * @param {object} original - Copy of the annotation before resizing
+         * @param {{x: number, y: number, width: number, height: number}} from - Original point bounds
+         * @param {{x: number, y: number, width: number, height: number}} to - New point bounds
+         */
+        resize(annotation, original, from, to) {
+            if (original.type !== 'text') {
+                annotation.points = this.scalePoints(original.points, from, to);
+                return;
+            }
+
+            // Follow whichever side was dragged the most
+            const scaleX = Math.abs(to.width / from.width);
+            const scaleY = Math.abs(to.height / from.height);
+            const scale = Math.abs(Math.log(scaleX)) > Math.abs(Math.log(scaleY)) ? scaleX : scaleY;
+            annotation.fontSize = Math.max(MIN_FONT_SIZE, Math.min(MAX_FONT_SIZE, Math.round(original.fontSize * scale)));
+            annotation.points = [{
+                x: Math.min(to.x, to.x + to.width),
+                y: Math.min(to.y, to.y + to.height)
+            }];
+        },
+
+        /**
+         * Text box measurements, for placing the text editing field
+         * @param {object} annotation - Text annotation
+         * @returns {{font: string, lines: Array<string>, lineHeight: number, pad: number, width: number, height: number}}
+         */
+        getTextLayout(annotation) {
+            return getTextLayout(annotation);
+        },
+
+        /**
+         * @param {string} color - '#rrggbb'
+         * @returns {string} - Outline color that makes text in that color legible
+         */
+        getOutlineColor(color) {
+            return getOutlineColor(color);
+        },
+
+        /**
+         * Shift an annotation in place
+         * @param {object} annotation
+         * @param {number} dx
+         * @param {number} dy
+         */
+        translate(annotation, dx, dy) {
+            annotation.points = annotation.points.map(point => ({ ...point, x: point.x + dx, y: point.y + dy }));
+        }
+    };
+})();
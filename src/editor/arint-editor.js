@@ -1,11 +1,23 @@
 /**
  * Arint Screenshot - Image Editor
- * Canvas-based editor with crop, pen, zoom, and undo/redo functionality
+ * Canvas-based editor with crop, editable annotations, zoom, and undo/redo functionality
  */
 
 (function () {
     'use strict';
 
+    // Tools drawn by dragging from one corner or end to the other
+    const SHAPE_TOOLS = ['arrow', 'rectangle', 'ellipse', 'line'];
+
+    // Names of the kinds of sensitive text found at capture time (see arint-detect.js)
+    const DETECTION_LABELS = {
+        email: 'Email',
+        phone: 'Phone',
+        card: 'Card number',
+        apiKey: 'API key',
+        custom: 'Pattern'
+    };
+
     /**
      * ArintEditor Class
      * Main editor controller handling all tools and interactions
@@ -17,6 +29,9 @@
             this.overlayCanvas = document.getElementById('overlay-canvas');
             this.mainCtx = this.mainCanvas.getContext('2d', { willReadFrequently: true });
             this.overlayCtx = this.overlayCanvas.getContext('2d');
+            this.annotationCanvas = document.getElementById('annotation-canvas');
+            this.annotationCtx = this.annotationCanvas.getContext('2d');
+            this.textInput = document.getElementById('text-input');
             this.container = document.getElementById('canvas-container');
             this.wrapper = document.getElementById('canvas-wrapper');
 
@@ -27,17 +42,61 @@
             this.minZoom = 0.1;
             this.maxZoom = 5;
 
+            // Position of this image when a long capture was split into parts
+            this.part = null;
+            this.parts = null;
+
+            // Where and when the capture was made, embedded in exported PNGs
+            this.metadata = null;
+            this.captionStrip = false;
+
+            // History gallery entry of this capture, redacted along with the image
+            this.historyId = null;
+
             // History for undo/redo
             this.history = [];
             this.historyIndex = -1;
             this.maxHistory = 20;
 
+            // Annotations over the image, bottom to top, flattened only on export
+            this.annotations = [];
+            this.selectedId = null;
+            this.dragAction = null;
+
+            // Style for new annotations
+            this.style = {
+                color: '#ef4444',
+                width: 4,
+                fill: null,
+                head: 'filled',
+                radius: 0,
+                font: 'sans-serif',
+                fontSize: 24,
+                bold: false,
+                outline: false
+            };
+
             // Pen tool state
-            this.penColor = '#ef4444';
-            this.penSize = 4;
             this.isDrawing = false;
-            this.lastX = 0;
-            this.lastY = 0;
+            this.currentStroke = null;
+
+            // Shape being drawn, previewed on the overlay until released
+            this.shapeDraft = null;
+
+            // Text annotation being typed, and a copy from before editing
+            this.editingText = null;
+            this.editingOriginal = null;
+
+            // Redact tool state
+            this.redactMode = 'pixelate';
+            this.redactColor = '#000000';
+            this.redactStart = null;
+            this.redactEnd = null;
+
+            // Sensitive text found on the page at capture time, for review
+            this.detections = [];
+            this.hoveredDetection = null;
+            this.detectionsPanel = document.getElementById('detections-panel');
 
             // Crop tool state
             this.cropStart = null;
@@ -58,22 +117,59 @@
          */
         async init() {
             this.setupEventListeners();
+            await this.loadSettings();
             await this.loadCapturedImage();
             this.updateUI();
         }
 
         /**
-         * Load the captured image from background script
+         * Read the export options from the extension settings
+         */
+        async loadSettings() {
+            try {
+                const settings = await browser.runtime.sendMessage({ type: 'GET_SETTINGS' });
+                this.captionStrip = Boolean(settings && settings.captionStrip);
+            } catch (error) {
+                console.error('Arint Editor: Failed to load settings', error);
+            }
+        }
+
+        /**
+         * Load the capture named in the page URL from shared storage
          */
         async loadCapturedImage() {
             try {
-                const response = await browser.runtime.sendMessage({
-                    type: 'GET_PENDING_CAPTURE'
-                });
+                const id = new URLSearchParams(location.search).get('capture');
+                const response = id ? await ArintDB.getCapture(id) : null;
 
                 if (response && response.imageData) {
+                    // Claim the capture for this tab, which has a new ID after a session restore
+                    const tab = await browser.tabs.getCurrent();
+                    if (tab) {
+                        await ArintDB.assignCaptureTab(id, tab.id);
+                    }
+
+                    this.metadata = response.metadata || null;
+                    this.historyId = response.historyId || null;
+                    this.detections = (response.detections || []).map(detection => ({
+                        ...detection,
+                        checked: true,
+                        redacted: false
+                    }));
                     await this.loadImage(response.imageData);
-                    this.showToast('Screenshot loaded', 'success');
+
+                    if (response.parts > 1) {
+                        this.setPartInfo(response.part, response.parts);
+                        this.showToast(`Capture was too large for one image and was split into ${response.parts} parts`, 'info');
+                    } else {
+                        this.showToast('Screenshot loaded', 'success');
+                    }
+
+                    this.renderDetections();
+                    if (this.detections.length > 0) {
+                        this.showDetectionsPanel(true);
+                        this.showToast(`Found ${this.detections.length} possible sensitive ${this.detections.length === 1 ? 'item' : 'items'} to review`, 'info');
+                    }
                 } else {
                     this.showToast('No screenshot data found', 'error');
                     this.updateStatus('No image loaded');
@@ -95,10 +191,7 @@
                     this.originalImage = img;
 
                     // Set canvas dimensions
-                    this.mainCanvas.width = img.width;
-                    this.mainCanvas.height = img.height;
-                    this.overlayCanvas.width = img.width;
-                    this.overlayCanvas.height = img.height;
+                    this.setCanvasSize(img.width, img.height);
 
                     // Draw image
                     this.mainCtx.drawImage(img, 0, 0);
@@ -117,6 +210,23 @@
             });
         }
 
+        /**
+         * Record which part of a split capture this editor holds
+         * @param {number} part - 1-based part number
+         * @param {number} parts - Total number of parts
+         */
+        setPartInfo(part, parts) {
+            this.part = part;
+            this.parts = parts;
+
+            const partLabel = document.getElementById('image-part');
+            partLabel.textContent = `Part ${part} of ${parts}`;
+            partLabel.classList.remove('hidden');
+            document.getElementById('image-part-divider').classList.remove('hidden');
+
+            document.title = `${document.title} (${part}/${parts})`;
+        }
+
         /**
          * Setup all event listeners
          */
@@ -139,15 +249,88 @@
             document.getElementById('btn-copy').addEventListener('click', () => this.copyToClipboard());
             document.getElementById('btn-download').addEventListener('click', () => this.downloadImage());
 
-            // Pen options
-            document.getElementById('pen-color').addEventListener('input', (e) => {
-                this.penColor = e.target.value;
+            // Style options apply to the selected annotation, or else to new ones
+            document.getElementById('stroke-color').addEventListener('input', (e) => {
+                this.setStyle({ color: e.target.value });
+            });
+            document.getElementById('stroke-width').addEventListener('input', (e) => {
+                this.setStyle({ width: parseInt(e.target.value) });
+            });
+            document.getElementById('fill-enabled').addEventListener('input', (e) => {
+                this.setStyle({ fill: e.target.checked ? document.getElementById('fill-color').value : null });
+            });
+            document.getElementById('fill-color').addEventListener('input', (e) => {
+                this.setStyle({ fill: e.target.value });
+            });
+            document.getElementById('arrow-head').addEventListener('input', (e) => {
+                this.setStyle({ head: e.target.value });
+            });
+            document.getElementById('corner-radius').addEventListener('input', (e) => {
+                this.setStyle({ radius: parseInt(e.target.value) });
+            });
+            document.getElementById('font-family').addEventListener('input', (e) => {
+                this.setStyle({ font: e.target.value });
+            });
+            document.getElementById('font-size').addEventListener('input', (e) => {
+                const size = parseInt(e.target.value);
+                if (size >= 6 && size <= 400) this.setStyle({ fontSize: size });
+            });
+            document.getElementById('font-bold').addEventListener('input', (e) => {
+                this.setStyle({ bold: e.target.checked });
+            });
+            document.getElementById('text-outline').addEventListener('input', (e) => {
+                this.setStyle({ outline: e.target.checked });
+            });
+            [
+                'stroke-color', 'stroke-width', 'fill-enabled', 'fill-color', 'arrow-head', 'corner-radius',
+                'font-family', 'font-size', 'font-bold', 'text-outline'
+            ].forEach(id => {
+                document.getElementById(id).addEventListener('change', () => {
+                    // Text being edited is recorded once editing finishes
+                    if (this.selectedId && !this.editingText) this.saveState(false);
+                });
+            });
+
+            // Text editing
+            this.textInput.addEventListener('input', () => {
+                this.editingText.text = this.textInput.value;
+                this.layoutTextInput();
+            });
+            this.textInput.addEventListener('blur', (e) => {
+                // Keep editing while the text is restyled from the toolbar
+                if (e.relatedTarget && e.relatedTarget.closest('#style-options')) return;
+                this.commitText();
+            });
+            this.mainCanvas.addEventListener('dblclick', (e) => this.onDoubleClick(e));
+
+            // Redaction options
+            document.getElementById('redact-mode').addEventListener('input', (e) => {
+                this.redactMode = e.target.value;
+                document.getElementById('redact-color').classList.toggle('hidden', this.redactMode !== 'solid');
             });
-            document.getElementById('pen-size').addEventListener('input', (e) => {
-                this.penSize = parseInt(e.target.value);
-                document.getElementById('pen-size-label').textContent = this.penSize + 'px';
+            document.getElementById('redact-color').addEventListener('input', (e) => {
+                this.redactColor = e.target.value;
             });
 
+            // Selection options
+            document.querySelectorAll('[data-order]').forEach(btn => {
+                btn.addEventListener('click', () => this.reorderSelected(btn.dataset.order));
+            });
+            document.getElementById('delete-annotation').addEventListener('click', () => this.deleteSelected());
+
+            // Detected sensitive text
+            document.getElementById('detections-toggle').addEventListener('click', () => {
+                this.showDetectionsPanel(this.detectionsPanel.classList.contains('hidden'));
+            });
+            document.getElementById('detections-close').addEventListener('click', () => this.showDetectionsPanel(false));
+            document.getElementById('detections-all').addEventListener('input', (e) => {
+                this.detections.forEach(detection => {
+                    if (!detection.redacted) detection.checked = e.target.checked;
+                });
+                this.renderDetections();
+            });
+            document.getElementById('detections-redact').addEventListener('click', () => this.redactDetections());
+
             // Crop actions
             document.getElementById('crop-apply').addEventListener('click', () => this.applyCrop());
             document.getElementById('crop-cancel').addEventListener('click', () => this.cancelCrop());
@@ -173,11 +356,18 @@
          * @param {string} tool - Tool name
          */
         setTool(tool) {
+            this.commitText();
+
             // Cancel any ongoing crop
             if (this.currentTool === 'crop' && tool !== 'crop') {
                 this.cancelCrop();
             }
 
+            // Annotations can only be selected with the select tool
+            if (tool !== 'select') {
+                this.selectAnnotation(null);
+            }
+
             this.currentTool = tool;
 
             // Update button states
@@ -185,9 +375,8 @@
                 btn.classList.toggle('active', btn.dataset.tool === tool);
             });
 
-            // Show/hide pen options
-            const penOptions = document.getElementById('pen-options');
-            penOptions.classList.toggle('hidden', tool !== 'pen');
+            // Show/hide style and selection options
+            this.updateToolOptions();
 
             // Show/hide crop bar
             const cropBar = document.getElementById('crop-bar');
@@ -196,8 +385,8 @@
             // Update cursor
             this.updateCursor();
 
-            // Clear overlay when switching tools
-            this.clearOverlay();
+            // Clear overlay when switching tools, keeping the selection outline
+            this.drawSelection();
 
             this.updateStatus(`Tool: ${tool.charAt(0).toUpperCase() + tool.slice(1)}`);
         }
@@ -206,15 +395,24 @@
          * Update canvas cursor based on current tool
          */
         updateCursor() {
-            this.mainCanvas.classList.remove('cursor-crosshair', 'cursor-pen', 'cursor-grab', 'cursor-grabbing');
+            this.mainCanvas.classList.remove('cursor-crosshair', 'cursor-pen', 'cursor-grab', 'cursor-grabbing', 'cursor-move', 'cursor-text');
+            this.mainCanvas.style.cursor = '';
 
             switch (this.currentTool) {
                 case 'crop':
                     this.mainCanvas.classList.add('cursor-crosshair');
                     break;
                 case 'pen':
+                case 'arrow':
+                case 'rectangle':
+                case 'ellipse':
+                case 'line':
+                case 'redact':
                     this.mainCanvas.classList.add('cursor-crosshair');
                     break;
+                case 'text':
+                    this.mainCanvas.classList.add('cursor-text');
+                    break;
                 case 'select':
                     this.mainCanvas.classList.add('cursor-grab');
                     break;
@@ -229,6 +427,13 @@
             const coords = this.getCanvasCoordinates(e);
             if (!coords) return;
 
+            // A click on the image while typing finishes the text first; with
+            // the text tool that is all it does
+            if (this.editingText) {
+                this.commitText();
+                if (this.currentTool === 'text') return;
+            }
+
             switch (this.currentTool) {
                 case 'pen':
                     this.startDrawing(coords.x, coords.y);
@@ -237,7 +442,19 @@
                     this.startCrop(coords.x, coords.y);
                     break;
                 case 'select':
-                    this.startPan(e);
+                    this.startSelectDrag(e, coords);
+                    break;
+                case 'arrow':
+                case 'rectangle':
+                case 'ellipse':
+                case 'line':
+                    this.startShape(coords.x, coords.y);
+                    break;
+                case 'text':
+                    this.placeText(coords.x, coords.y);
+                    break;
+                case 'redact':
+                    this.startRedaction(coords.x, coords.y);
                     break;
             }
         }
@@ -254,7 +471,22 @@
                     if (this.isCropping) this.updateCrop(coords.x, coords.y);
                     break;
                 case 'select':
-                    if (this.isPanning) this.pan(e);
+                    if (this.dragAction) {
+                        this.dragSelection(coords);
+                    } else if (this.isPanning) {
+                        this.pan(e);
+                    } else {
+                        this.updateSelectCursor(coords);
+                    }
+                    break;
+                case 'arrow':
+                case 'rectangle':
+                case 'ellipse':
+                case 'line':
+                    if (this.shapeDraft) this.updateShape(coords.x, coords.y, e.shiftKey);
+                    break;
+                case 'redact':
+                    if (this.redactStart) this.updateRedaction(coords.x, coords.y);
                     break;
             }
         }
@@ -293,7 +525,20 @@
                     this.finishCropSelection();
                     break;
                 case 'select':
-                    this.stopPan();
+                    if (this.dragAction) {
+                        this.finishSelectDrag();
+                    } else if (this.isPanning) {
+                        this.stopPan();
+                    }
+                    break;
+                case 'arrow':
+                case 'rectangle':
+                case 'ellipse':
+                case 'line':
+                    this.finishShape();
+                    break;
+                case 'redact':
+                    this.finishRedaction();
                     break;
             }
         }
@@ -304,42 +549,711 @@
 
         startDrawing(x, y) {
             this.isDrawing = true;
-            this.lastX = x;
-            this.lastY = y;
-
-            // Start a new path
-            this.mainCtx.beginPath();
-            this.mainCtx.moveTo(x, y);
-            this.mainCtx.strokeStyle = this.penColor;
-            this.mainCtx.lineWidth = this.penSize;
-            this.mainCtx.lineCap = 'round';
-            this.mainCtx.lineJoin = 'round';
+            this.currentStroke = ArintAnnotations.create('pen', [{ x, y }], this.style);
+            this.annotations.push(this.currentStroke);
+            this.renderAnnotations();
         }
 
         draw(x, y) {
             if (!this.isDrawing) return;
 
-            // Use quadratic curves for smoother lines
-            const midX = (this.lastX + x) / 2;
-            const midY = (this.lastY + y) / 2;
-
-            this.mainCtx.quadraticCurveTo(this.lastX, this.lastY, midX, midY);
-            this.mainCtx.stroke();
-
-            // Start new path from midpoint for continuous drawing
-            this.mainCtx.beginPath();
-            this.mainCtx.moveTo(midX, midY);
-
-            this.lastX = x;
-            this.lastY = y;
+            this.currentStroke.points.push({ x, y });
+            this.renderAnnotations();
         }
 
         stopDrawing() {
             if (this.isDrawing) {
                 this.isDrawing = false;
-                this.mainCtx.stroke();
+                this.currentStroke = null;
+                this.saveState(false);
+            }
+        }
+
+        // ============================================
+        // Shape Tools
+        // ============================================
+
+        startShape(x, y) {
+            this.shapeDraft = ArintAnnotations.create(this.currentTool, [{ x, y }, { x, y }], this.style);
+        }
+
+        /**
+         * Move the loose end of the shape being drawn and preview it
+         * @param {number} x
+         * @param {number} y
+         * @param {boolean} constrain - Shift held: square, circle or 45° steps
+         */
+        updateShape(x, y, constrain) {
+            const start = this.shapeDraft.points[0];
+            this.shapeDraft.points[1] = constrain
+                ? ArintAnnotations.constrain(this.shapeDraft.type, start, { x, y })
+                : { x, y };
+
+            this.clearOverlay();
+            ArintAnnotations.drawAll(this.overlayCtx, [this.shapeDraft]);
+        }
+
+        /**
+         * Add the drawn shape to the annotations, unless it was just a click
+         */
+        finishShape() {
+            const shape = this.shapeDraft;
+            if (!shape) return;
+
+            this.shapeDraft = null;
+            this.clearOverlay();
+
+            const [start, end] = shape.points;
+            if (Math.hypot(end.x - start.x, end.y - start.y) < 3) return;
+
+            this.annotations.push(shape);
+            this.renderAnnotations();
+            this.saveState(false);
+        }
+
+        // ============================================
+        // Redact Tool
+        // ============================================
+
+        startRedaction(x, y) {
+            this.redactStart = { x, y };
+            this.redactEnd = { x, y };
+        }
+
+        updateRedaction(x, y) {
+            this.redactEnd = { x, y };
+
+            const box = this.getRedactionBox();
+            this.clearOverlay();
+            this.overlayCtx.fillStyle = this.redactMode === 'solid' ? this.redactColor : 'rgba(15, 23, 42, 0.5)';
+            this.overlayCtx.fillRect(box.x, box.y, box.width, box.height);
+            this.overlayCtx.strokeStyle = '#6366f1';
+            this.overlayCtx.lineWidth = 2 / this.zoom;
+            this.overlayCtx.setLineDash([5 / this.zoom, 5 / this.zoom]);
+            this.overlayCtx.strokeRect(box.x, box.y, box.width, box.height);
+            this.overlayCtx.setLineDash([]);
+        }
+
+        /**
+         * Rewrite the pixels of the dragged area. This changes the image itself,
+         * so the hidden content is gone from exports; undo still restores it.
+         */
+        finishRedaction() {
+            if (!this.redactStart) return;
+
+            const box = this.getRedactionBox();
+            this.redactStart = null;
+            this.redactEnd = null;
+            this.clearOverlay();
+
+            if (box.width < 3 || box.height < 3) return;
+
+            if (ArintRedaction.apply(this.mainCtx, box, this.redactMode, this.redactColor)) {
                 this.saveState();
+                this.updateStatus(`Redacted ${Math.round(box.width)} × ${Math.round(box.height)} px`);
+                this.redactHistoryCopy();
+            }
+        }
+
+        /**
+         * Replace the history's copy of this capture with the image as redacted
+         * here, so the hidden content cannot be exported from the history later.
+         * Undoing the redaction in the editor does not bring it back there.
+         */
+        async redactHistoryCopy() {
+            if (!this.historyId) return;
+
+            try {
+                const response = await browser.runtime.sendMessage({
+                    type: 'UPDATE_HISTORY_IMAGE',
+                    id: this.historyId,
+                    imageData: this.mainCanvas.toDataURL('image/png')
+                });
+                if (!response.success) throw new Error(response.error);
+            } catch (error) {
+                console.error('Arint Editor: Failed to redact the history copy', error);
+                this.showToast('Failed to redact the copy in the history', 'error');
+            }
+        }
+
+        /**
+         * @returns {{x: number, y: number, width: number, height: number}}
+         */
+        getRedactionBox() {
+            return {
+                x: Math.min(this.redactStart.x, this.redactEnd.x),
+                y: Math.min(this.redactStart.y, this.redactEnd.y),
+                width: Math.abs(this.redactEnd.x - this.redactStart.x),
+                height: Math.abs(this.redactEnd.y - this.redactStart.y)
+            };
+        }
+
+        // ============================================
+        // Detected Sensitive Text
+        // ============================================
+
+        /**
+         * Show or hide the review panel, and with it the highlights on the image
+         * @param {boolean} visible
+         */
+        showDetectionsPanel(visible) {
+            this.detectionsPanel.classList.toggle('hidden', !visible);
+            this.hoveredDetection = null;
+            this.clearOverlay();
+        }
+
+        /**
+         * Rebuild the review list from the detections
+         */
+        renderDetections() {
+            const list = document.getElementById('detections-list');
+            list.replaceChildren();
+
+            this.detections.forEach((detection, index) => {
+                const item = document.createElement('li');
+                item.className = 'detection-item';
+                item.classList.toggle('redacted', detection.redacted);
+
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = detection.checked;
+                checkbox.disabled = detection.redacted;
+                checkbox.addEventListener('input', () => {
+                    detection.checked = checkbox.checked;
+                    this.updateDetectionControls();
+                });
+
+                const kind = document.createElement('span');
+                kind.className = 'detection-kind';
+                kind.textContent = detection.redacted
+                    ? `${DETECTION_LABELS[detection.kind]} (redacted)`
+                    : DETECTION_LABELS[detection.kind];
+
+                const preview = document.createElement('span');
+                preview.className = 'detection-preview';
+                preview.textContent = detection.preview;
+
+                label.append(checkbox, kind, preview);
+                item.appendChild(label);
+
+                // Point out on the image which text an item is
+                item.addEventListener('mouseenter', () => {
+                    this.hoveredDetection = index;
+                    this.clearOverlay();
+                });
+                item.addEventListener('mouseleave', () => {
+                    this.hoveredDetection = null;
+                    this.clearOverlay();
+                });
+
+                list.appendChild(item);
+            });
+
+            this.updateDetectionControls();
+        }
+
+        /**
+         * Sync the count, "select all" box, redact button and highlights with
+         * the detections
+         */
+        updateDetectionControls() {
+            const pending = this.detections.filter(detection => !detection.redacted);
+            const checked = pending.filter(detection => detection.checked);
+
+            document.getElementById('detections-count').textContent = pending.length;
+
+            const selectAll = document.getElementById('detections-all');
+            selectAll.checked = pending.length > 0 && checked.length === pending.length;
+            selectAll.indeterminate = checked.length > 0 && checked.length < pending.length;
+            selectAll.disabled = pending.length === 0;
+
+            document.getElementById('detections-redact').disabled = checked.length === 0;
+
+            const toggle = document.getElementById('detections-toggle');
+            toggle.textContent = `Sensitive text: ${pending.length}`;
+            toggle.classList.toggle('hidden', this.detections.length === 0);
+            document.getElementById('detections-divider').classList.toggle('hidden', this.detections.length === 0);
+
+            this.clearOverlay();
+        }
+
+        /**
+         * Outline detected text on the overlay: ticked items red, the others grey
+         */
+        drawDetections() {
+            this.detections.forEach((detection, index) => {
+                if (detection.redacted) return;
+
+                const emphasis = index === this.hoveredDetection ? 2 : 1;
+                this.overlayCtx.fillStyle = detection.checked
+                    ? `rgba(239, 68, 68, ${0.2 * emphasis})`
+                    : `rgba(148, 163, 184, ${0.2 * emphasis})`;
+                this.overlayCtx.strokeStyle = detection.checked ? '#ef4444' : '#94a3b8';
+                this.overlayCtx.lineWidth = (1.5 * emphasis) / this.zoom;
+
+                detection.rects.forEach(rect => {
+                    this.overlayCtx.fillRect(rect.x, rect.y, rect.width, rect.height);
+                    this.overlayCtx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+                });
+            });
+        }
+
+        /**
+         * Redact every ticked item in one step, like the redact tool would
+         */
+        redactDetections() {
+            const pending = this.detections.filter(detection => detection.checked && !detection.redacted);
+            if (pending.length === 0) return;
+
+            const mode = document.getElementById('detections-mode').value;
+            pending.forEach(detection => {
+                detection.rects.forEach(rect => ArintRedaction.apply(this.mainCtx, rect, mode, this.redactColor));
+                detection.redacted = true;
+            });
+
+            this.saveState();
+            this.renderDetections();
+            this.showToast(`Redacted ${pending.length} ${pending.length === 1 ? 'item' : 'items'}`, 'success');
+            this.redactHistoryCopy();
+        }
+
+        /**
+         * Move detections along with a crop, dropping what was cut off
+         * @param {number} left - Crop origin in the old image
+         * @param {number} top
+         */
+        cropDetections(left, top) {
+            const width = this.mainCanvas.width;
+            const height = this.mainCanvas.height;
+
+            this.detections = this.detections
+                .map(detection => ({
+                    ...detection,
+                    rects: detection.rects
+                        .map(rect => {
+                            const x = Math.max(0, rect.x - left);
+                            const y = Math.max(0, rect.y - top);
+                            return {
+                                x,
+                                y,
+                                width: Math.min(width, rect.x - left + rect.width) - x,
+                                height: Math.min(height, rect.y - top + rect.height) - y
+                            };
+                        })
+                        .filter(rect => rect.width > 0 && rect.height > 0)
+                }))
+                .filter(detection => detection.rects.length > 0);
+
+            this.hoveredDetection = null;
+            this.renderDetections();
+        }
+
+        // ============================================
+        // Text Tool
+        // ============================================
+
+        /**
+         * Text tool click: edit the text box under the cursor, or start a new one
+         * @param {number} x
+         * @param {number} y
+         */
+        placeText(x, y) {
+            const existing = ArintAnnotations.findAt(this.annotations, x, y, this.zoom);
+            if (existing && existing.type === 'text') {
+                this.editText(existing);
+                return;
+            }
+
+            const annotation = ArintAnnotations.create('text', [{ x, y }], this.style);
+            annotation.text = '';
+            this.editText(annotation);
+        }
+
+        /**
+         * Double-clicking text with the select tool edits it
+         * @param {MouseEvent} e
+         */
+        onDoubleClick(e) {
+            if (this.currentTool !== 'select') return;
+
+            const coords = this.getCanvasCoordinates(e);
+            const annotation = coords && ArintAnnotations.findAt(this.annotations, coords.x, coords.y, this.zoom);
+            if (annotation && annotation.type === 'text') {
+                this.editText(annotation);
+            }
+        }
+
+        /**
+         * Open the editing field over a text annotation, which is hidden from
+         * the annotation layer while it is being typed
+         * @param {object} annotation - Existing or new text annotation
+         */
+        editText(annotation) {
+            this.editingText = annotation;
+            this.editingOriginal = structuredClone(annotation);
+
+            this.textInput.value = annotation.text;
+            this.textInput.classList.remove('hidden');
+            this.layoutTextInput();
+            this.renderAnnotations();
+            this.clearOverlay();
+            this.syncStyleInputs();
+            this.updateToolOptions();
+
+            this.textInput.focus();
+            this.textInput.select();
+        }
+
+        /**
+         * Match the editing field to the text's position, font and size. It
+         * sits inside the zoomed canvas wrapper, so image pixels map 1:1.
+         */
+        layoutTextInput() {
+            const annotation = this.editingText;
+            const layout = ArintAnnotations.getTextLayout(annotation);
+            const [origin] = annotation.points;
+
+            // Set the font shorthand first, as it resets the line height
+            this.textInput.style.font = layout.font;
+            Object.assign(this.textInput.style, {
+                left: `${origin.x}px`,
+                top: `${origin.y}px`,
+                width: `${layout.width + annotation.fontSize}px`,
+                height: `${layout.height}px`,
+                padding: `${layout.pad}px`,
+                lineHeight: `${layout.lineHeight}px`,
+                color: annotation.color,
+                background: annotation.fill || 'transparent',
+                webkitTextStroke: annotation.outline
+                    ? `${Math.max(2, annotation.fontSize / 6)}px ${ArintAnnotations.getOutlineColor(annotation.color)}`
+                    : ''
+            });
+        }
+
+        /**
+         * Finish typing: keep the text as an annotation, or drop it if empty
+         */
+        commitText() {
+            const annotation = this.editingText;
+            if (!annotation) return;
+
+            this.editingText = null;
+            this.textInput.classList.add('hidden');
+            annotation.text = this.textInput.value.replace(/\s+$/, '');
+
+            const index = this.annotations.indexOf(annotation);
+            const changed = JSON.stringify(annotation) !== JSON.stringify(this.editingOriginal);
+
+            if (!annotation.text) {
+                if (index >= 0) {
+                    this.annotations.splice(index, 1);
+                }
+                if (annotation.id === this.selectedId) {
+                    this.selectedId = null;
+                }
+            } else if (index < 0) {
+                this.annotations.push(annotation);
+            }
+
+            this.renderAnnotations();
+            this.selectAnnotation(this.selectedId);
+
+            if (index >= 0 ? changed : Boolean(annotation.text)) {
+                this.saveState(false);
+            }
+        }
+
+        /**
+         * Stop typing and put the text back the way it was
+         */
+        cancelText() {
+            if (!this.editingText) return;
+
+            Object.assign(this.editingText, this.editingOriginal);
+            this.textInput.value = this.editingOriginal.text;
+            this.commitText();
+        }
+
+        // ============================================
+        // Annotations
+        // ============================================
+
+        /**
+         * Redraw all annotations on their layer, except text being typed
+         */
+        renderAnnotations() {
+            this.annotationCtx.clearRect(0, 0, this.annotationCanvas.width, this.annotationCanvas.height);
+            ArintAnnotations.drawAll(
+                this.annotationCtx,
+                this.annotations.filter(annotation => annotation !== this.editingText)
+            );
+        }
+
+        /**
+         * @returns {object|null} - The selected annotation
+         */
+        getSelectedAnnotation() {
+            return this.annotations.find(annotation => annotation.id === this.selectedId) || null;
+        }
+
+        /**
+         * Select an annotation, or clear the selection
+         * @param {string|null} id
+         */
+        selectAnnotation(id) {
+            this.selectedId = id;
+            this.syncStyleInputs();
+            this.updateToolOptions();
+            this.drawSelection();
+        }
+
+        /**
+         * Outline the selected annotation with its resize handles
+         */
+        drawSelection() {
+            this.clearOverlay();
+
+            const annotation = this.getSelectedAnnotation();
+            if (!annotation) return;
+
+            const box = ArintAnnotations.getBounds(annotation);
+            const handleSize = 8 / this.zoom;
+
+            this.overlayCtx.strokeStyle = '#6366f1';
+            this.overlayCtx.lineWidth = 1 / this.zoom;
+            this.overlayCtx.setLineDash([4 / this.zoom, 4 / this.zoom]);
+            this.overlayCtx.strokeRect(box.x, box.y, box.width, box.height);
+            this.overlayCtx.setLineDash([]);
+
+            this.overlayCtx.fillStyle = '#ffffff';
+            ArintAnnotations.getHandles(box).forEach(handle => {
+                this.overlayCtx.fillRect(handle.x - handleSize / 2, handle.y - handleSize / 2, handleSize, handleSize);
+                this.overlayCtx.strokeRect(handle.x - handleSize / 2, handle.y - handleSize / 2, handleSize, handleSize);
+            });
+        }
+
+        /**
+         * Find the resize handle of the selected annotation under the cursor
+         * @param {number} x
+         * @param {number} y
+         * @returns {string|null} - Handle name, e.g. 'se'
+         */
+        getHandleAt(x, y) {
+            const annotation = this.getSelectedAnnotation();
+            if (!annotation) return null;
+
+            const reach = 6 / this.zoom;
+            const handle = ArintAnnotations.getHandles(ArintAnnotations.getBounds(annotation))
+                .find(candidate => Math.abs(candidate.x - x) <= reach && Math.abs(candidate.y - y) <= reach);
+            return handle ? handle.name : null;
+        }
+
+        /**
+         * Select tool press: resize the selection by a handle, pick up an
+         * annotation to move it, or pan when clicking the bare image
+         * @param {MouseEvent} e
+         * @param {{x: number, y: number}} coords
+         */
+        startSelectDrag(e, coords) {
+            const handle = this.getHandleAt(coords.x, coords.y);
+            const target = handle
+                ? this.getSelectedAnnotation()
+                : ArintAnnotations.findAt(this.annotations, coords.x, coords.y, this.zoom);
+
+            if (!target) {
+                this.selectAnnotation(null);
+                this.startPan(e);
+                return;
+            }
+
+            if (target.id !== this.selectedId) {
+                this.selectAnnotation(target.id);
+            }
+
+            this.dragAction = {
+                handle,
+                start: coords,
+                original: structuredClone(target),
+                box: ArintAnnotations.getPointBounds(target),
+                moved: false
+            };
+        }
+
+        /**
+         * @param {{x: number, y: number}} coords
+         */
+        dragSelection(coords) {
+            const annotation = this.getSelectedAnnotation();
+            const { handle, start, original, box } = this.dragAction;
+            const dx = coords.x - start.x;
+            const dy = coords.y - start.y;
+
+            if (handle) {
+                ArintAnnotations.resize(annotation, original, box, ArintAnnotations.resizeBox(box, handle, dx, dy));
+            } else {
+                annotation.points = original.points.map(point => ({ ...point, x: point.x + dx, y: point.y + dy }));
+            }
+
+            this.dragAction.moved = true;
+            this.renderAnnotations();
+            this.drawSelection();
+        }
+
+        finishSelectDrag() {
+            if (this.dragAction.moved) {
+                this.saveState(false);
+            }
+            this.dragAction = null;
+        }
+
+        /**
+         * Show what a press would do at the cursor: resize, move or pan
+         * @param {{x: number, y: number}} coords
+         */
+        updateSelectCursor(coords) {
+            const handle = this.getHandleAt(coords.x, coords.y);
+            const over = !handle && ArintAnnotations.findAt(this.annotations, coords.x, coords.y, this.zoom);
+
+            this.mainCanvas.style.cursor = handle ? `${handle}-resize` : '';
+            this.mainCanvas.classList.toggle('cursor-move', Boolean(over));
+            this.mainCanvas.classList.toggle('cursor-grab', !handle && !over);
+        }
+
+        /**
+         * @returns {object|null} - The annotation the style options edit: the
+         *   text being typed, or else the selected annotation
+         */
+        getStyleTarget() {
+            return this.editingText || this.getSelectedAnnotation();
+        }
+
+        /**
+         * Apply a style change to the selected annotation, or to the style for
+         * new annotations when nothing is selected
+         * @param {object} style - Some of {color, width, fill, head, radius,
+         *   font, fontSize, bold, outline}
+         */
+        setStyle(style) {
+            const annotation = this.getStyleTarget();
+
+            if (annotation) {
+                ArintAnnotations.getStyleKeys(annotation.type)
+                    .filter(key => key in style)
+                    .forEach(key => {
+                        annotation[key] = style[key];
+                    });
+                if (annotation === this.editingText) {
+                    this.layoutTextInput();
+                } else {
+                    this.renderAnnotations();
+                    this.drawSelection();
+                }
+            } else {
+                Object.assign(this.style, style);
+            }
+
+            this.syncStyleInputs();
+        }
+
+        /**
+         * Show the selected annotation's style in the style options, or the
+         * style for new annotations
+         */
+        syncStyleInputs() {
+            const style = this.getStyleTarget() || this.style;
+
+            document.getElementById('stroke-color').value = style.color;
+            document.getElementById('stroke-width').value = style.width;
+            document.getElementById('stroke-width-label').textContent = style.width + 'px';
+            document.getElementById('fill-enabled').checked = Boolean(style.fill);
+            if (style.fill) {
+                document.getElementById('fill-color').value = style.fill;
+            }
+            if (style.head) {
+                document.getElementById('arrow-head').value = style.head;
             }
+            if (style.radius !== undefined) {
+                document.getElementById('corner-radius').value = style.radius;
+            }
+            if (style.font) {
+                document.getElementById('font-family').value = style.font;
+                document.getElementById('font-size').value = style.fontSize;
+                document.getElementById('font-bold').checked = style.bold;
+                document.getElementById('text-outline').checked = style.outline;
+            }
+        }
+
+        /**
+         * Show the style options for drawing tools and selections, limited to
+         * what the tool or selected annotation uses, and the reorder/delete
+         * buttons for selections
+         */
+        updateToolOptions() {
+            const selected = this.getSelectedAnnotation();
+            const target = this.getStyleTarget();
+            const type = target ? target.type : this.currentTool;
+            const isDrawing = Boolean(target) || type === 'pen' || type === 'text' || SHAPE_TOOLS.includes(type);
+
+            document.getElementById('style-options').classList.toggle('hidden', !isDrawing);
+            document.getElementById('selection-options').classList.toggle('hidden', !selected);
+            document.getElementById('redact-options').classList.toggle('hidden', type !== 'redact');
+
+            if (isDrawing) {
+                const keys = ArintAnnotations.getStyleKeys(type);
+                document.querySelectorAll('#style-options [data-style]').forEach(control => {
+                    control.classList.toggle('hidden', !keys.includes(control.dataset.style));
+                });
+            }
+        }
+
+        /**
+         * Change the stacking order of the selected annotation
+         * @param {string} direction - 'front', 'forward', 'backward' or 'back'
+         */
+        reorderSelected(direction) {
+            const index = this.annotations.findIndex(annotation => annotation.id === this.selectedId);
+            if (index < 0) return;
+
+            const last = this.annotations.length - 1;
+            const target = {
+                front: last,
+                forward: Math.min(index + 1, last),
+                backward: Math.max(index - 1, 0),
+                back: 0
+            }[direction];
+            if (target === index) return;
+
+            const [annotation] = this.annotations.splice(index, 1);
+            this.annotations.splice(target, 0, annotation);
+
+            this.renderAnnotations();
+            this.saveState(false);
+        }
+
+        deleteSelected() {
+            const index = this.annotations.findIndex(annotation => annotation.id === this.selectedId);
+            if (index < 0) return;
+
+            this.annotations.splice(index, 1);
+            this.selectAnnotation(null);
+            this.renderAnnotations();
+            this.saveState(false);
+        }
+
+        /**
+         * Move the selected annotation with the arrow keys
+         * @param {number} dx
+         * @param {number} dy
+         */
+        nudgeSelected(dx, dy) {
+            const annotation = this.getSelectedAnnotation();
+            if (!annotation) return;
+
+            ArintAnnotations.translate(annotation, dx, dy);
+            this.renderAnnotations();
+            this.drawSelection();
+            this.saveState(false);
         }
 
         // ============================================
@@ -421,13 +1335,15 @@
             const imageData = this.mainCtx.getImageData(x, y, width, height);
 
             // Resize canvas
-            this.mainCanvas.width = width;
-            this.mainCanvas.height = height;
-            this.overlayCanvas.width = width;
-            this.overlayCanvas.height = height;
+            this.setCanvasSize(width, height);
 
-            // Draw cropped image
+            // Draw cropped image, and keep annotations over the same spot
             this.mainCtx.putImageData(imageData, 0, 0);
+            this.annotations.forEach(annotation => {
+                ArintAnnotations.translate(annotation, -Math.floor(x), -Math.floor(y));
+            });
+            this.renderAnnotations();
+            this.cropDetections(Math.floor(x), Math.floor(y));
 
             // Save state
             this.saveState();
@@ -504,6 +1420,11 @@
             this.wrapper.style.transform = `scale(${this.zoom})`;
 
             document.getElementById('zoom-level').textContent = Math.round(this.zoom * 100) + '%';
+
+            // Keep the selection handles the same size on screen
+            if (this.selectedId) {
+                this.drawSelection();
+            }
         }
 
         onWheel(e) {
@@ -518,21 +1439,29 @@
         // Undo / Redo
         // ============================================
 
-        saveState() {
+        /**
+         * Record the image and annotations as a new undo step
+         * @param {boolean} [imageChanged=true] - False when only annotations
+         *   changed, so the previous step's pixels can be shared
+         */
+        saveState(imageChanged = true) {
             // Remove any redo states
             if (this.historyIndex < this.history.length - 1) {
                 this.history = this.history.slice(0, this.historyIndex + 1);
             }
 
             // Save current state
-            const imageData = this.mainCtx.getImageData(
-                0, 0, this.mainCanvas.width, this.mainCanvas.height
-            );
+            const previous = this.history[this.historyIndex];
+            const imageData = imageChanged || !previous
+                ? this.mainCtx.getImageData(0, 0, this.mainCanvas.width, this.mainCanvas.height)
+                : previous.imageData;
 
             this.history.push({
                 imageData: imageData,
                 width: this.mainCanvas.width,
-                height: this.mainCanvas.height
+                height: this.mainCanvas.height,
+                annotations: structuredClone(this.annotations),
+                detections: structuredClone(this.detections)
             });
 
             // Limit history size
@@ -546,6 +1475,10 @@
         }
 
         undo() {
+            // Text being typed becomes a step of its own first, so restoring
+            // a state cannot leave the editor holding a stale annotation
+            this.commitText();
+
             if (this.historyIndex > 0) {
                 this.historyIndex--;
                 this.restoreState(this.history[this.historyIndex]);
@@ -555,6 +1488,8 @@
         }
 
         redo() {
+            this.commitText();
+
             if (this.historyIndex < this.history.length - 1) {
                 this.historyIndex++;
                 this.restoreState(this.history[this.historyIndex]);
@@ -564,11 +1499,17 @@
         }
 
         restoreState(state) {
-            this.mainCanvas.width = state.width;
-            this.mainCanvas.height = state.height;
-            this.overlayCanvas.width = state.width;
-            this.overlayCanvas.height = state.height;
+            this.setCanvasSize(state.width, state.height);
             this.mainCtx.putImageData(state.imageData, 0, 0);
+
+            this.annotations = structuredClone(state.annotations);
+            this.renderAnnotations();
+            this.selectAnnotation(this.getSelectedAnnotation() ? this.selectedId : null);
+
+            this.detections = structuredClone(state.detections);
+            this.hoveredDetection = null;
+            this.renderDetections();
+
             this.updateDimensions();
         }
 
@@ -582,8 +1523,11 @@
         // ============================================
 
         async copyToClipboard() {
+            // Text still being typed belongs in the image too
+            this.commitText();
+
             try {
-                const blob = await this.canvasToBlob();
+                const blob = await this.exportBlob();
                 await navigator.clipboard.write([
                     new ClipboardItem({ 'image/png': blob })
                 ]);
@@ -594,19 +1538,118 @@
             }
         }
 
-        downloadImage() {
-            const dataUrl = this.mainCanvas.toDataURL('image/png');
+        async downloadImage() {
+            this.commitText();
+
+            const url = URL.createObjectURL(await this.exportBlob());
             const link = document.createElement('a');
-            link.download = `arint-screenshot-${Date.now()}.png`;
-            link.href = dataUrl;
+            const suffix = this.parts > 1 ? `-part-${this.part}-of-${this.parts}` : '';
+            link.download = `arint-screenshot-${Date.now()}${suffix}.png`;
+            link.href = url;
             link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
             this.showToast('Image downloaded', 'success');
         }
 
-        canvasToBlob() {
-            return new Promise((resolve) => {
-                this.mainCanvas.toBlob((blob) => resolve(blob), 'image/png');
+        /**
+         * Encode the image for export as PNG, with the capture's metadata
+         * in text chunks and, if enabled, a caption strip underneath
+         * @returns {Promise<Blob>}
+         */
+        async exportBlob() {
+            const canvas = this.getExportCanvas();
+            const blob = await new Promise((resolve) => {
+                canvas.toBlob((result) => resolve(result), 'image/png');
+            });
+
+            if (!this.metadata) return blob;
+            return ArintPngMetadata.addTextChunks(blob, this.getMetadataEntries());
+        }
+
+        /**
+         * PNG text keywords and values describing the capture
+         * @returns {object}
+         */
+        getMetadataEntries() {
+            const meta = this.metadata;
+            return {
+                'Title': meta.title,
+                'Source': meta.url,
+                'Creation Time': meta.capturedAt && new Date(meta.capturedAt).toISOString(),
+                'Software': 'Arint Screenshot',
+                'Capture Mode': meta.mode,
+                'Viewport': meta.viewportWidth && `${meta.viewportWidth}x${meta.viewportHeight}`,
+                'Device Pixel Ratio': meta.devicePixelRatio
+            };
+        }
+
+        /**
+         * The canvas to export: the image with its annotations flattened onto
+         * it, and if enabled the caption strip (title, address, time and
+         * viewport) drawn underneath
+         * @returns {HTMLCanvasElement}
+         */
+        getExportCanvas() {
+            const image = document.createElement('canvas');
+            image.width = this.mainCanvas.width;
+            image.height = this.mainCanvas.height;
+
+            const imageCtx = image.getContext('2d');
+            imageCtx.drawImage(this.mainCanvas, 0, 0);
+            ArintAnnotations.drawAll(imageCtx, this.annotations);
+
+            if (!this.captionStrip || !this.metadata) {
+                return image;
+            }
+
+            const meta = this.metadata;
+            const scale = meta.devicePixelRatio || 1;
+            const padding = 10 * scale;
+            const lineHeight = 18 * scale;
+            const details = [
+                meta.capturedAt && new Date(meta.capturedAt).toLocaleString(),
+                meta.viewportWidth && `Viewport ${meta.viewportWidth}×${meta.viewportHeight} @${scale}x`
+            ].filter(Boolean).join('  •  ');
+            const lines = [meta.title, meta.url, details].filter(Boolean);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height + lines.length * lineHeight + padding * 2;
+
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0);
+            ctx.fillStyle = '#0f172a';
+            ctx.fillRect(0, image.height, canvas.width, canvas.height - image.height);
+
+            ctx.textBaseline = 'top';
+            lines.forEach((line, index) => {
+                ctx.font = `${index === 0 ? '600 ' : ''}${13 * scale}px -apple-system, BlinkMacSystemFont, sans-serif`;
+                ctx.fillStyle = index === 0 ? '#f1f5f9' : '#94a3b8';
+                ctx.fillText(
+                    this.fitText(ctx, line, canvas.width - padding * 2),
+                    padding,
+                    image.height + padding + index * lineHeight + 2 * scale
+                );
             });
+
+            return canvas;
+        }
+
+        /**
+         * Shorten text with an ellipsis until it fits the given width
+         * @param {CanvasRenderingContext2D} ctx
+         * @param {string} text
+         * @param {number} maxWidth
+         * @returns {string}
+         */
+        fitText(ctx, text, maxWidth) {
+            if (ctx.measureText(text).width <= maxWidth) return text;
+
+            let end = text.length;
+            while (end > 0 && ctx.measureText(text.slice(0, end) + '…').width > maxWidth) {
+                end--;
+            }
+            return text.slice(0, end) + '…';
         }
 
         // ============================================
@@ -614,6 +1657,21 @@
         // ============================================
 
         onKeyDown(e) {
+            // Typing text: Escape cancels, Ctrl+Enter finishes, everything else is text
+            if (e.target === this.textInput) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.cancelText();
+                } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                    e.preventDefault();
+                    this.commitText();
+                }
+                return;
+            }
+
+            // Leave keys for the toolbar's fields, sliders and lists to them
+            if (e.target.matches('input, select, textarea')) return;
+
             // Ctrl/Cmd shortcuts
             if (e.ctrlKey || e.metaKey) {
                 switch (e.key.toLowerCase()) {
@@ -650,6 +1708,24 @@
                 case 'p':
                     this.setTool('pen');
                     break;
+                case 'a':
+                    this.setTool('arrow');
+                    break;
+                case 'r':
+                    this.setTool('rectangle');
+                    break;
+                case 'e':
+                    this.setTool('ellipse');
+                    break;
+                case 'l':
+                    this.setTool('line');
+                    break;
+                case 't':
+                    this.setTool('text');
+                    break;
+                case 'x':
+                    this.setTool('redact');
+                    break;
                 case '=':
                 case '+':
                     this.zoomIn();
@@ -664,6 +1740,36 @@
                     if (this.currentTool === 'crop') {
                         this.cancelCrop();
                     }
+                    this.selectAnnotation(null);
+                    break;
+                case 'delete':
+                case 'backspace':
+                    if (this.selectedId) {
+                        e.preventDefault();
+                        this.deleteSelected();
+                    }
+                    break;
+                case ']':
+                case '}':
+                    this.reorderSelected(e.shiftKey ? 'front' : 'forward');
+                    break;
+                case '[':
+                case '{':
+                    this.reorderSelected(e.shiftKey ? 'back' : 'backward');
+                    break;
+                case 'arrowleft':
+                case 'arrowright':
+                case 'arrowup':
+                case 'arrowdown':
+                    if (this.selectedId) {
+                        e.preventDefault();
+                        const step = e.shiftKey ? 10 : 1;
+                        const direction = e.key.toLowerCase().slice(5);
+                        this.nudgeSelected(
+                            { left: -step, right: step }[direction] || 0,
+                            { up: -step, down: step }[direction] || 0
+                        );
+                    }
                     break;
             }
         }
@@ -672,8 +1778,28 @@
         // UI Helpers
         // ============================================
 
+        /**
+         * Clear the overlay down to the highlights of detected text, which stay
+         * visible while the review panel is open
+         */
         clearOverlay() {
             this.overlayCtx.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
+
+            if (!this.detectionsPanel.classList.contains('hidden')) {
+                this.drawDetections();
+            }
+        }
+
+        /**
+         * Size the image, annotation and overlay canvases alike
+         * @param {number} width
+         * @param {number} height
+         */
+        setCanvasSize(width, height) {
+            [this.mainCanvas, this.annotationCanvas, this.overlayCanvas].forEach(canvas => {
+                canvas.width = width;
+                canvas.height = height;
+            });
         }
 
         updateDimensions() {
@@ -0,0 +1,105 @@
+/**
+ * Arint Screenshot - PNG Metadata
+ * Writes text metadata (source URL, title, capture time...) into PNG files
+ * as tEXt chunks, or iTXt chunks for text that is not Latin-1
+ */
+
+(function () {
+    'use strict';
+
+    const PNG_SIGNATURE_LENGTH = 8;
+
+    // CRC-32 lookup table as used by PNG chunks
+    const CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        CRC_TABLE[n] = c >>> 0;
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {number}
+     */
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Build a complete chunk: length, type, data and CRC
+     * @param {string} type - Four-letter chunk type
+     * @param {Uint8Array} data
+     * @returns {Uint8Array}
+     */
+    function buildChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+
+        return chunk;
+    }
+
+    /**
+     * Build a text chunk for one keyword. tEXt only holds Latin-1, so other
+     * text (e.g. page titles in other scripts) goes into an uncompressed iTXt.
+     * @param {string} keyword - 1-79 Latin-1 characters
+     * @param {string} text
+     * @returns {Uint8Array}
+     */
+    function buildTextChunk(keyword, text) {
+        const keywordBytes = Uint8Array.from(keyword.slice(0, 79), c => c.charCodeAt(0) & 0xff);
+
+        if (/^[\x20-\x7e\xa0-\xff\n]*$/.test(text)) {
+            const textBytes = Uint8Array.from(text, c => c.charCodeAt(0));
+            const data = new Uint8Array(keywordBytes.length + 1 + textBytes.length);
+            data.set(keywordBytes, 0);
+            data.set(textBytes, keywordBytes.length + 1);
+            return buildChunk('tEXt', data);
+        }
+
+        // keyword, null, compression flag 0, method 0, empty language tag and translated keyword
+        const textBytes = new TextEncoder().encode(text);
+        const data = new Uint8Array(keywordBytes.length + 5 + textBytes.length);
+        data.set(keywordBytes, 0);
+        data.set(textBytes, keywordBytes.length + 5);
+        return buildChunk('iTXt', data);
+    }
+
+    self.ArintPngMetadata = {
+        /**
+         * Add text metadata to a PNG, right after its header chunk
+         * @param {Blob} blob - PNG image
+         * @param {object} entries - Keyword to text, e.g. {Title: '...', Source: 'https://...'}
+         * @returns {Promise<Blob>} - PNG with the metadata
+         */
+        async addTextChunks(blob, entries) {
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            const view = new DataView(bytes.buffer);
+
+            // IHDR is always first: signature, then length + type + data + CRC
+            const headerEnd = PNG_SIGNATURE_LENGTH + 12 + view.getUint32(PNG_SIGNATURE_LENGTH);
+
+            const chunks = Object.entries(entries)
+                .filter(([, text]) => text !== undefined && text !== null && text !== '')
+                .map(([keyword, text]) => buildTextChunk(keyword, String(text)));
+
+            return new Blob([
+                bytes.subarray(0, headerEnd),
+                ...chunks,
+                bytes.subarray(headerEnd)
+            ], { type: 'image/png' });
+        }
+    };
+})();
@@ -0,0 +1,121 @@
+/**
+ * Arint Screenshot - Redaction
+ * Hides parts of the screenshot by rewriting its pixels: pixelate, blur or
+ * fill a rectangle. Unlike annotations this is destructive, so nothing of
+ * the original content is left in the exported image.
+ */
+
+(function () {
+    'use strict';
+
+    /**
+     * Block size for an area: large enough that text cannot be read back,
+     * growing with the area so big regions do not stay legible either
+     * @param {{width: number, height: number}} box
+     * @returns {number}
+     */
+    function getBlockSize(box) {
+        return Math.max(10, Math.round(Math.max(box.width, box.height) / 40));
+    }
+
+    /**
+     * Replace each block of pixels with its average color
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{x: number, y: number, width: number, height: number}} box
+     * @param {number} block - Block size in pixels
+     */
+    function pixelate(ctx, box, block) {
+        const image = ctx.getImageData(box.x, box.y, box.width, box.height);
+        const data = image.data;
+
+        for (let top = 0; top < box.height; top += block) {
+            for (let left = 0; left < box.width; left += block) {
+                const right = Math.min(left + block, box.width);
+                const bottom = Math.min(top + block, box.height);
+                const sum = [0, 0, 0, 0];
+
+                for (let y = top; y < bottom; y++) {
+                    for (let x = left; x < right; x++) {
+                        const i = (y * box.width + x) * 4;
+                        sum[0] += data[i];
+                        sum[1] += data[i + 1];
+                        sum[2] += data[i + 2];
+                        sum[3] += data[i + 3];
+                    }
+                }
+
+                const count = (right - left) * (bottom - top);
+                const average = sum.map(total => Math.round(total / count));
+
+                for (let y = top; y < bottom; y++) {
+                    for (let x = left; x < right; x++) {
+                        data.set(average, (y * box.width + x) * 4);
+                    }
+                }
+            }
+        }
+
+        ctx.putImageData(image, box.x, box.y);
+    }
+
+    /**
+     * Blur an area. A blur alone can be partly reversed, so the area is
+     * pixelated with smaller blocks first and only then smoothed.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {{x: number, y: number, width: number, height: number}} box
+     */
+    function blur(ctx, box) {
+        const block = getBlockSize(box);
+        pixelate(ctx, box, Math.ceil(block / 2));
+
+        const copy = new OffscreenCanvas(box.width, box.height);
+        copy.getContext('2d').putImageData(ctx.getImageData(box.x, box.y, box.width, box.height), 0, 0);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(box.x, box.y, box.width, box.height);
+        ctx.clip();
+        ctx.filter = `blur(${block}px)`;
+        ctx.drawImage(copy, box.x, box.y);
+        ctx.restore();
+    }
+
+    self.ArintRedaction = {
+        /**
+         * Redact an area of a canvas in place
+         * @param {CanvasRenderingContext2D} ctx - Context of the image canvas
+         * @param {{x: number, y: number, width: number, height: number}} area - In image pixels
+         * @param {string} mode - 'pixelate', 'blur' or 'solid'
+         * @param {string} [color] - Fill color for 'solid'
+         * @returns {boolean} - False when the area lies outside the image
+         */
+        apply(ctx, area, mode, color) {
+            // Whole pixels within the canvas, covering all of the area
+            const x = Math.max(0, Math.floor(area.x));
+            const y = Math.max(0, Math.floor(area.y));
+            const box = {
+                x,
+                y,
+                width: Math.min(ctx.canvas.width, Math.ceil(area.x + area.width)) - x,
+                height: Math.min(ctx.canvas.height, Math.ceil(area.y + area.height)) - y
+            };
+            if (box.width <= 0 || box.height <= 0) return false;
+
+            switch (mode) {
+                case 'pixelate':
+                    pixelate(ctx, box, getBlockSize(box));
+                    break;
+                case 'blur':
+                    blur(ctx, box);
+                    break;
+                case 'solid':
+                    ctx.save();
+                    ctx.fillStyle = color;
+                    ctx.fillRect(box.x, box.y, box.width, box.height);
+                    ctx.restore();
+                    break;
+            }
+            return true;
+        }
+    };
+})();
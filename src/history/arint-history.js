@@ -0,0 +1,219 @@
+/**
+ * Arint Screenshot - History Page
+ * Lists past captures kept in local storage, reopens them in the editor and
+ * exports or deletes them in bulk
+ */
+
+(function () {
+  'use strict';
+
+  const MODE_LABELS = {
+    visible: 'Visible area',
+    fullpage: 'Full page',
+    selection: 'Region',
+    element: 'Element',
+    container: 'Scrolling area',
+    responsive: 'Responsive',
+    image: 'Image'
+  };
+
+  // DOM Elements
+  const grid = document.getElementById('history-grid');
+  const emptyMessage = document.getElementById('history-empty');
+  const summary = document.getElementById('history-summary');
+  const searchInput = document.getElementById('search');
+  const modeFilter = document.getElementById('mode-filter');
+  const selectAll = document.getElementById('select-all');
+  const btnExport = document.getElementById('btn-export');
+  const btnDelete = document.getElementById('btn-delete');
+
+  const emptyText = emptyMessage.textContent;
+
+  let entries = [];
+  const selected = new Set();
+
+  /**
+   * Load all history entries (thumbnails only) from storage
+   */
+  async function loadHistory() {
+    try {
+      entries = await ArintDB.getHistoryEntries();
+    } catch (error) {
+      console.error('Arint Screenshot: Failed to load history', error);
+      entries = [];
+    }
+
+    // Forget selections of entries that no longer exist
+    const ids = new Set(entries.map(entry => entry.id));
+    selected.forEach(id => {
+      if (!ids.has(id)) selected.delete(id);
+    });
+
+    render();
+  }
+
+  /**
+   * Entries matching the search text and mode filter
+   * @returns {Array<object>}
+   */
+  function getVisibleEntries() {
+    const query = searchInput.value.trim().toLowerCase();
+    const mode = modeFilter.value;
+
+    return entries.filter(entry => {
+      if (mode && entry.mode !== mode) return false;
+      if (!query) return true;
+      return (entry.title || '').toLowerCase().includes(query) ||
+        (entry.url || '').toLowerCase().includes(query);
+    });
+  }
+
+  /**
+   * Redraw the grid, summary and toolbar state
+   */
+  function render() {
+    const visible = getVisibleEntries();
+    grid.replaceChildren(...visible.map(createCard));
+
+    emptyMessage.hidden = visible.length > 0;
+    emptyMessage.textContent = entries.length > 0 ? 'No captures match your search.' : emptyText;
+
+    const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    summary.textContent = `${entries.length} captures • ${formatSize(totalSize)}`;
+
+    selectAll.checked = visible.length > 0 && visible.every(entry => selected.has(entry.id));
+    btnExport.disabled = selected.size === 0;
+    btnDelete.disabled = selected.size === 0;
+  }
+
+  /**
+   * Build the card for one history entry
+   * @param {object} entry
+   * @returns {HTMLElement}
+   */
+  function createCard(entry) {
+    const card = document.createElement('div');
+    card.className = 'history-card';
+    card.classList.toggle('selected', selected.has(entry.id));
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selected.has(entry.id);
+    checkbox.title = 'Select';
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selected.add(entry.id);
+      } else {
+        selected.delete(entry.id);
+      }
+      render();
+    });
+
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'history-thumbnail';
+    thumbnail.src = entry.thumbnail;
+    thumbnail.alt = entry.title || 'Capture';
+    thumbnail.title = 'Open in editor';
+    thumbnail.addEventListener('click', () => openEntry(entry.id));
+
+    const info = document.createElement('div');
+    info.className = 'history-info';
+
+    const title = document.createElement('span');
+    title.className = 'history-title';
+    title.textContent = entry.title || entry.url || 'Untitled';
+    title.title = entry.title || '';
+
+    const address = document.createElement('span');
+    address.className = 'history-meta';
+    address.textContent = entry.url;
+    address.title = entry.url;
+
+    const details = document.createElement('span');
+    details.className = 'history-meta';
+    const part = entry.parts > 1 ? ` • part ${entry.part}/${entry.parts}` : '';
+    details.textContent = `${new Date(entry.createdAt).toLocaleString()} • ${MODE_LABELS[entry.mode] || entry.mode} • ${entry.width} × ${entry.height}${part}`;
+
+    info.append(title, address, details);
+    card.append(thumbnail, checkbox, info);
+    return card;
+  }
+
+  /**
+   * Reopen a capture in a new editor tab
+   * @param {string} id
+   */
+  async function openEntry(id) {
+    const response = await browser.runtime.sendMessage({ type: 'OPEN_HISTORY_ENTRY', id });
+    if (!response || !response.success) {
+      console.error('Arint Screenshot: Failed to open capture', response && response.error);
+      loadHistory();
+    }
+  }
+
+  /**
+   * Download the selected captures as PNG files
+   */
+  async function exportSelected() {
+    const chosen = entries.filter(entry => selected.has(entry.id));
+
+    for (const entry of chosen) {
+      const imageData = await ArintDB.getHistoryImage(entry.id);
+      if (!imageData) continue;
+
+      const link = document.createElement('a');
+      link.href = imageData;
+      link.download = `arint-screenshot-${entry.createdAt}${entry.parts > 1 ? `-part-${entry.part}-of-${entry.parts}` : ''}.png`;
+      link.click();
+    }
+  }
+
+  /**
+   * Delete the selected captures after confirmation
+   */
+  async function deleteSelected() {
+    const count = selected.size;
+    if (!confirm(`Delete ${count} ${count === 1 ? 'capture' : 'captures'} from the history?`)) return;
+
+    try {
+      await ArintDB.deleteHistoryEntries([...selected]);
+      selected.clear();
+    } catch (error) {
+      console.error('Arint Screenshot: Failed to delete captures', error);
+    }
+    loadHistory();
+  }
+
+  /**
+   * Format a byte count for display
+   * @param {number} bytes
+   * @returns {string}
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // Event Listeners
+  searchInput.addEventListener('input', render);
+  modeFilter.addEventListener('change', render);
+  selectAll.addEventListener('change', () => {
+    getVisibleEntries().forEach(entry => {
+      if (selectAll.checked) {
+        selected.add(entry.id);
+      } else {
+        selected.delete(entry.id);
+      }
+    });
+    render();
+  });
+  btnExport.addEventListener('click', exportSelected);
+  btnDelete.addEventListener('click', deleteSelected);
+
+  // Pick up captures taken while the page is open
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) loadHistory();
+  });
+
+  loadHistory();
+})();
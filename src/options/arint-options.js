@@ -0,0 +1,239 @@
+/**
+ * Arint Screenshot - Settings Page
+ * Binds inputs marked with data-setting to the settings kept by the background worker
+ */
+
+(function () {
+  'use strict';
+
+  const inputs = document.querySelectorAll('[data-setting]');
+  const saveStatus = document.getElementById('save-status');
+  const shortcutList = document.getElementById('shortcut-list');
+  let statusTimer = null;
+
+  /**
+   * Read an input's value in the type the setting uses
+   * @param {HTMLInputElement} input
+   */
+  function readInput(input) {
+    if (input.type === 'checkbox') return input.checked;
+    // Left empty, the background falls back to the default
+    if (input.type === 'number') return input.value === '' ? null : Number(input.value);
+    return input.value;
+  }
+
+  /**
+   * Show a setting's value in its input
+   * @param {HTMLInputElement} input
+   * @param {*} value
+   */
+  function writeInput(input, value) {
+    if (input.type === 'checkbox') {
+      input.checked = Boolean(value);
+    } else {
+      input.value = value;
+    }
+  }
+
+  /**
+   * Load current settings into the form
+   */
+  async function loadSettings() {
+    try {
+      const settings = await browser.runtime.sendMessage({ type: 'GET_SETTINGS' });
+      inputs.forEach(input => writeInput(input, settings[input.dataset.setting]));
+    } catch (error) {
+      console.error('Arint Screenshot: Failed to load settings', error);
+    }
+  }
+
+  /**
+   * Save a single changed setting, showing the value that was actually
+   * stored (e.g. the default for an emptied number field)
+   * @param {HTMLInputElement} input
+   */
+  async function saveSetting(input) {
+    try {
+      const settings = await browser.runtime.sendMessage({
+        type: 'SAVE_SETTINGS',
+        settings: { [input.dataset.setting]: readInput(input) }
+      });
+      writeInput(input, settings[input.dataset.setting]);
+      showStatus('Saved');
+    } catch (error) {
+      console.error('Arint Screenshot: Failed to save settings', error);
+      showStatus('Failed to save');
+    }
+  }
+
+  /**
+   * Turn a keydown event into a shortcut string the commands API accepts,
+   * e.g. "Alt+Shift+1". Returns null until a non-modifier key is pressed.
+   * @param {KeyboardEvent} e
+   * @returns {string|null}
+   */
+  function shortcutFromEvent(e) {
+    const named = {
+      ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+      Comma: 'Comma', Period: 'Period', Space: 'Space', Home: 'Home', End: 'End',
+      PageUp: 'PageUp', PageDown: 'PageDown', Insert: 'Insert', Delete: 'Delete'
+    };
+
+    // Use the physical key so Shift does not turn "1" into "!"
+    let key = null;
+    if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+    else if (/^Digit[0-9]$/.test(e.code)) key = e.code.slice(5);
+    else if (/^F([1-9]|1[0-2])$/.test(e.code)) key = e.code;
+    else if (named[e.code]) key = named[e.code];
+    if (!key) return null;
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+  }
+
+  /**
+   * Change a command's shortcut, showing the browser's reason if it refuses
+   * @param {string} name - Command name
+   * @param {string} shortcut - New shortcut, empty to remove it
+   */
+  async function updateShortcut(name, shortcut) {
+    try {
+      await browser.commands.update({ name, shortcut });
+      showStatus(shortcut ? 'Shortcut saved' : 'Shortcut removed');
+    } catch (error) {
+      console.error('Arint Screenshot: Failed to update shortcut', error);
+      showStatus(error.message);
+    }
+    renderShortcuts();
+  }
+
+  /**
+   * List the keyboard commands with their current shortcuts
+   */
+  async function renderShortcuts() {
+    const commands = await browser.commands.getAll();
+    shortcutList.replaceChildren();
+
+    commands.forEach(command => {
+      const row = document.createElement('div');
+      row.className = 'option option-field';
+
+      const text = document.createElement('span');
+      text.className = 'option-text';
+      text.textContent = command.description;
+
+      const controls = document.createElement('span');
+      controls.className = 'shortcut-controls';
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.readOnly = true;
+      input.className = 'shortcut-input';
+      input.value = command.shortcut || '';
+      input.placeholder = 'Not set';
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Tab') return;
+        e.preventDefault();
+
+        if (e.key === 'Escape') {
+          input.blur();
+        } else if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.altKey && !e.metaKey) {
+          updateShortcut(command.name, '');
+        } else {
+          const shortcut = shortcutFromEvent(e);
+          if (shortcut) updateShortcut(command.name, shortcut);
+        }
+      });
+
+      const reset = document.createElement('button');
+      reset.className = 'shortcut-reset';
+      reset.textContent = 'Reset';
+      reset.addEventListener('click', async () => {
+        await browser.commands.reset(command.name);
+        showStatus('Shortcut reset');
+        renderShortcuts();
+      });
+
+      controls.append(input, reset);
+      row.append(text, controls);
+      shortcutList.appendChild(row);
+    });
+  }
+
+  /**
+   * Briefly show save feedback
+   * @param {string} message
+   */
+  function showStatus(message) {
+    saveStatus.textContent = message;
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => {
+      saveStatus.textContent = '';
+    }, 2000);
+  }
+
+  /**
+   * Turn the capture API on only for named extensions and with access to
+   * the tabs it is asked to capture; otherwise leave it off
+   * @param {HTMLInputElement} input - The externalApi checkbox
+   */
+  async function toggleExternalApi(input) {
+    if (input.checked) {
+      const allowList = document.querySelector('[data-setting="externalApiAllowList"]').value;
+
+      if (!allowList.trim()) {
+        input.checked = false;
+        showStatus('Add at least one allowed extension ID first');
+        return;
+      }
+      if (!(await browser.permissions.request({ origins: ['<all_urls>'] }))) {
+        input.checked = false;
+        await saveSetting(input);
+        showStatus('Access to all sites is needed for the capture API');
+        return;
+      }
+    }
+    await saveSetting(input);
+  }
+
+  /**
+   * Save the extra detection patterns only if the background will run all of
+   * them, otherwise point out the first one it refuses
+   * @param {HTMLTextAreaElement} input - The sensitivePatterns field
+   */
+  async function savePatterns(input) {
+    try {
+      const [problem] = await browser.runtime.sendMessage({ type: 'CHECK_PATTERNS', text: input.value });
+      input.setCustomValidity(problem ? `${problem.line}: ${problem.error}` : '');
+      input.title = input.validationMessage;
+
+      if (problem) {
+        showStatus(`Not saved: ${problem.line}: ${problem.error}`);
+        return;
+      }
+    } catch (error) {
+      console.error('Arint Screenshot: Failed to check patterns', error);
+      showStatus('Failed to save');
+      return;
+    }
+    await saveSetting(input);
+  }
+
+  // Event Listeners
+  inputs.forEach(input => {
+    if (input.dataset.setting === 'externalApi') {
+      input.addEventListener('change', () => toggleExternalApi(input));
+    } else if (input.dataset.setting === 'sensitivePatterns') {
+      input.addEventListener('change', () => savePatterns(input));
+    } else {
+      input.addEventListener('change', () => saveSetting(input));
+    }
+  });
+
+  loadSettings();
+  renderShortcuts();
+})();
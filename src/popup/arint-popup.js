@@ -10,6 +10,14 @@
   const btnVisible = document.getElementById('btn-visible');
   const btnFullPage = document.getElementById('btn-fullpage');
   const btnSelection = document.getElementById('btn-selection');
+  const btnElement = document.getElementById('btn-element');
+  const btnContainer = document.getElementById('btn-container');
+  const btnResponsive = document.getElementById('btn-responsive');
+  const btnBatch = document.getElementById('btn-batch');
+  const timerSelect = document.getElementById('timer-select');
+  const timerCustom = document.getElementById('timer-custom');
+  const captureError = document.getElementById('capture-error');
+  const PRESET_DELAYS = ['0', '3', '5', '10'];
 
   // Check if current page is supported
   async function checkPageSupport() {
@@ -17,10 +25,10 @@
       const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
       if (!tab) return;
 
-      const isRestricted = tab.url.startsWith('about:') ||
-        tab.url.startsWith('moz-extension:') ||
-        tab.url.startsWith('view-source:') ||
-        tab.url.startsWith('chrome:');
+      const [isRestricted] = await browser.runtime.sendMessage({
+        type: 'CHECK_RESTRICTED',
+        urls: [tab.url]
+      });
 
       if (isRestricted) {
         document.body.insertAdjacentHTML('afterbegin', `
@@ -28,7 +36,7 @@
             ⚠️ Cannot capture strict browser pages
           </div>
         `);
-        [btnFullPage, btnSelection].forEach(btn => {
+        [btnFullPage, btnSelection, btnElement, btnContainer, btnResponsive].forEach(btn => {
           btn.style.opacity = '0.5';
           btn.style.pointerEvents = 'none';
         });
@@ -40,12 +48,58 @@
 
   checkPageSupport();
 
+  /**
+   * Restore the last used capture delay
+   */
+  async function loadTimer() {
+    try {
+      const settings = await browser.runtime.sendMessage({ type: 'GET_SETTINGS' });
+      const seconds = String(settings.captureTimer || 0);
+
+      if (PRESET_DELAYS.includes(seconds)) {
+        timerSelect.value = seconds;
+      } else {
+        timerSelect.value = 'custom';
+        timerCustom.value = seconds;
+      }
+      timerCustom.hidden = timerSelect.value !== 'custom';
+    } catch (e) {
+      console.error('Timer load failed', e);
+    }
+  }
+
+  /**
+   * Selected capture delay in seconds (0 for none)
+   * @returns {number}
+   */
+  function getDelay() {
+    const value = timerSelect.value === 'custom' ? timerCustom.value : timerSelect.value;
+    const seconds = Math.round(Number(value));
+    return Number.isFinite(seconds) ? Math.max(0, Math.min(seconds, 60)) : 0;
+  }
+
+  /**
+   * Show the custom field when chosen and remember the delay for next time
+   */
+  function onTimerChange() {
+    timerCustom.hidden = timerSelect.value !== 'custom';
+    browser.runtime.sendMessage({
+      type: 'SAVE_SETTINGS',
+      settings: { captureTimer: getDelay() }
+    });
+  }
+
+  loadTimer();
+  timerSelect.addEventListener('change', onTimerChange);
+  timerCustom.addEventListener('change', onTimerChange);
+
   /**
    * Send message to background script and close popup
    * @param {string} action - The capture action type
    */
   async function triggerCapture(action) {
     const button = document.querySelector(`[data-action="${action}"]`);
+    captureError.hidden = true;
 
     try {
       // Add loading state
@@ -54,7 +108,8 @@
       // Send message to background script
       const response = await browser.runtime.sendMessage({
         type: 'CAPTURE_REQUEST',
-        action: action
+        action: action,
+        delay: getDelay()
       });
 
       if (response && response.success) {
@@ -67,32 +122,57 @@
       console.error('Arint Screenshot: Capture failed', error);
       button.classList.remove('loading');
 
-      // Show error feedback
+      // Show error feedback, with the full reason below the buttons
       button.style.borderColor = '#ef4444';
       button.style.backgroundColor = 'rgba(239, 68, 68, 0.1)';
 
-      const originalText = button.querySelector('.btn-text').textContent;
-      const textSpan = button.querySelector('.btn-text');
-      textSpan.textContent = 'Failed: ' + error.message.substring(0, 15) + '...';
+      captureError.textContent = 'Capture failed: ' + error.message;
+      captureError.hidden = false;
 
       setTimeout(() => {
         button.style.borderColor = '';
         button.style.backgroundColor = '';
-        textSpan.textContent = originalText;
       }, 3000);
     }
   }
 
+  /**
+   * Open the batch page, which lists this window's tabs to capture
+   */
+  function openBatchPage() {
+    browser.tabs.create({ url: browser.runtime.getURL('src/batch/arint-batch.html') });
+    window.close();
+  }
+
   // Event Listeners
   btnVisible.addEventListener('click', () => triggerCapture('visible'));
   btnFullPage.addEventListener('click', () => triggerCapture('fullpage'));
   btnSelection.addEventListener('click', () => triggerCapture('selection'));
+  btnElement.addEventListener('click', () => triggerCapture('element'));
+  btnContainer.addEventListener('click', () => triggerCapture('container'));
+  btnResponsive.addEventListener('click', () => triggerCapture('responsive'));
+  btnBatch.addEventListener('click', openBatchPage);
+  document.getElementById('btn-history').addEventListener('click', () => {
+    browser.tabs.create({ url: browser.runtime.getURL('src/history/arint-history.html') });
+    window.close();
+  });
+  document.getElementById('btn-settings').addEventListener('click', () => {
+    browser.runtime.openOptionsPage();
+    window.close();
+  });
 
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
+    // Digits typed into the custom delay are not shortcuts
+    if (e.target === timerCustom) return;
+
     if (e.key === '1') triggerCapture('visible');
     if (e.key === '2') triggerCapture('fullpage');
     if (e.key === '3') triggerCapture('selection');
+    if (e.key === '4') triggerCapture('element');
+    if (e.key === '5') triggerCapture('container');
+    if (e.key === '6') triggerCapture('responsive');
+    if (e.key === '7') openBatchPage();
     if (e.key === 'Escape') window.close();
   });
 })();